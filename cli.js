@@ -1,199 +1,448 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
-const { Signature, SamsungCertificateCreator, TizenCertificateCreator } = require('./index.js');
-const { writeFileSync, readFileSync, readdirSync, statSync, mkdirSync } = require('fs');
-const forge = require('node-forge');
-const JSZip = require('jszip');
+const { Signature, SamsungCertificateCreator, TizenCertificateCreator, inspectPackage, Device, SamsungAccount, inspectCertificate, buildPackage, watch, unpackPackage } = require('./index.js');
+const { readPackage } = require('./src/packageReader.js');
+const { formatName, loadPkcs12 } = require('./src/certificateInfo.js');
+const SigningProfiles = require('./src/signingProfiles.js');
+const CredentialStore = require('./src/credentialStore.js');
+const { resolvePassword, getMasterPassword } = require('./src/passwords.js');
+const { getKeyOptions } = require('./src/keyOptions.js');
+const { writeFileSync, readFileSync, mkdirSync } = require('fs');
 const Package = require('./package.json');
-const { join } = require('path');
-const { homedir } = require('os');
+const { resolve } = require('path');
 
 const program = new Command();
 
 program.name('tizen.js')
     .version(Package.version)
     .description(Package.description)
+    .enablePositionalOptions()
+    .addHelpText('after', `
+Passwords can be given as env:VAR, file:/path, store:NAME (from the credential store) or prompt.
+Passwords that aren't given are asked for on the terminal.`);
+
+// Reads a signing key given as a .p12, or as a PEM private key with its certificate chain.
+async function readSigningKey(role, { p12, key, cert, password }, configDir) {
+    if (key) {
+        if (!cert) throw new Error(`The ${role} key needs its certificate chain, pass --${role}-cert`);
+        return {
+            privateKey: readFileSync(key, 'utf-8'),
+            passphrase: password === undefined ? undefined : await resolvePassword(password, { label: `Passphrase for the ${role} key`, configDir }),
+            certificates: readFileSync(cert)
+        };
+    }
+
+    const resolved = await resolvePassword(password, { label: `Password for the ${role} certificate`, configDir });
+    return loadPkcs12(readFileSync(p12), resolved);
+}
+
+// Gathers the values of a repeatable option.
+function collect(value, previous = []) {
+    return previous.concat([value]);
+}
+
+async function loadSignerModule(path) {
+    const exported = require(resolve(path));
+    const signers = typeof exported === 'function' ? await exported() : exported;
+    if (!signers || (!signers.author && !signers.distributor)) {
+        throw new Error(`${path} has to export { author, distributor } signers, or a function returning them`);
+    }
+    return signers;
+}
 
 program.command('build <dir/pkg>')
     .description('Build a Tizen package')
-    .requiredOption('-t, --type <type>', 'Type of the package, can be "tpk" or "wgt"')
+    .requiredOption('-t, --type <type>', 'Type of the package, can be "tpk", "wgt" or "hybrid"')
     .requiredOption('-o, --output <file>', 'Output file path')
-    .requiredOption('--author <path>', 'Path to the author certificate')
-    .option('--distributor <path>', 'Path to the distributor certificate')
-    .requiredOption('--authorPwd <password>', 'Password for the author certificate')
-    .option('--distributorPwd <password>', 'Password for the distributor certificate')
+    .option('--web <dir/wgt>', 'With --type hybrid, the web app put under res/wgt of the service project or .tpk')
+    .option('--author <path>', 'Path to the author certificate, the active signing profile is used if it isn\'t provided')
+    .option('--distributor <path>', 'Path to the distributor certificate. Repeat it to add signature2.xml, signature3.xml and so on', collect)
+    .option('--authorPwd <password>', 'Password for the author certificate')
+    .option('--distributorPwd <password>', 'Password for the distributor certificate. Repeat it in the same order as --distributor', collect)
     .option('-p, --privilege <privilege>', 'Privilege for the application, will be used if distributor certificate isn\'t provided.\nCan be "public" or "partner"')
     .option('--ignore [files]', 'Files to ignore during packaging, also supports RegEx. Seperate with a command\nExample: --ignore file,directory,/regex/')
+    .option('--ignore-file <path>', 'File with ignore rules in .gitignore format, applied after the project\'s .tizenignore')
+    .option('--package-id <id>', 'Replace the package ID in config.xml or tizen-manifest.xml')
+    .option('--app-id <id>', 'Replace the application ID in config.xml or tizen-manifest.xml')
+    .option('--version <version>', 'Replace the package version, in the form of x.y.z')
+    .option('--name <name>', 'Replace the application name')
+    .option('--reproducible', 'Sort entries and use fixed timestamps (SOURCE_DATE_EPOCH if set) and permissions')
+    .option('--unique-identifiers', 'Give every signature a random identifier, as the widgets digsig spec recommends')
+    .option('--digest-algorithm <digest>', 'Digest of the signed files, can be "sha256", "sha384" or "sha512"', 'sha512')
+    .option('--signature-algorithm <algorithm>', 'Signature algorithm, such as "rsa-sha256" or "ecdsa-sha256". Follows --digest-algorithm and the key type of each certificate by default')
+    .option('--cert-dir <directory>', 'Directory the Tizen certificates are cached in. Defaults to TIZENJS_CERT_DIR or ~/share')
+    .option('--no-verify-certs', 'Sign without checking the certificate chains, expiry dates and privilege level')
+    .option('--expiry-warning <days>', 'Warn about certificates that expire within this many days', '30')
+    .option('--profile <name>', 'Sign with the certificates of a signing profile')
+    .option('--config-dir <directory>', 'Directory the signing profiles are stored in. Defaults to TIZENJS_CONFIG_DIR or ~/.tizenjs')
+    .option('--author-key <path>', 'PEM private key of the author, instead of --author. --authorPwd is its passphrase if it\'s encrypted')
+    .option('--author-cert <path>', 'PEM certificate chain of the author, signer first, used with --author-key')
+    .option('--distributor-key <path>', 'PEM private key of the distributor, instead of --distributor')
+    .option('--distributor-cert <path>', 'PEM certificate chain of the distributor, used with --distributor-key')
+    .option('--keep-author', 'Keep the author signature of the signed package byte for byte and only replace the distributor signatures')
+    .option('--signer-module <path>', 'Module exporting { author, distributor } signers, or a function returning them. See the README')
+    .option('--watch', 'Rebuild and re-sign the package whenever a file in the project directory changes')
+    .option('--target <ip>', 'Install the package on this device after building, optionally with the sdb port (default 26101)')
     .action(async (dir, options) => {
-        if (options.type !== 'tpk' && options.type !== 'wgt') {
-            throw new Error(`Invalid package type: ${options.type}. Must be "tpk" or "wgt".`);
+        const signerModule = options.signerModule ? await loadSignerModule(options.signerModule) : {};
+
+        const hasAuthor = options.keepAuthor || options.author || options.authorKey || signerModule.author;
+        if (options.profile || !hasAuthor) {
+            const profile = new SigningProfiles({ configDir: options.configDir }).get(options.profile);
+            if (!hasAuthor) {
+                options.author = profile.author.key;
+                options.authorPwd = profile.author.password;
+            }
+            if (!(options.distributor || options.distributorKey || signerModule.distributor) && profile.distributor) {
+                options.distributor = [profile.distributor.key];
+                options.distributorPwd = [profile.distributor.password];
+            }
         }
 
-        let distributorKey;
+        const authorKey = options.keepAuthor ? undefined : signerModule.author || await readSigningKey('author', {
+            p12: options.author,
+            key: options.authorKey,
+            cert: options.authorCert,
+            password: options.authorPwd
+        }, options.configDir);
 
-        if (options.distributor) {
-            const file = readFileSync(options.distributor);
-            const p12Distributor = forge.asn1.fromDer(forge.util.createBuffer(file));
-            distributorKey = forge.pkcs12.pkcs12FromAsn1(p12Distributor, options.distributorPwd);
-        } else {
-            const tizen = new TizenCertificateCreator();
-            await tizen._downloadTizenCertificates();
-            if (options.privilege !== 'public' && options.privilege !== 'partner') throw new Error(`Invalid privilege: ${options.privilege}. Must be "public" or "partner".`);
-            const der = forge.asn1.fromDer(forge.util.createBuffer(readFileSync(join(homedir(), `share/.tizen-cert/distributor/sdk-${options.privilege}/tizen-distributor-signer.p12`))));
+        const distributorKeys = [].concat(signerModule.distributor || []);
+        const distributorPasswords = options.distributorPwd || [];
 
-            distributorKey = forge.pkcs12.pkcs12FromAsn1(der, false, 'tizenpkcs12passfordsigner');
+        if (!distributorKeys.length && options.distributorKey) {
+            distributorKeys.push(await readSigningKey('distributor', {
+                key: options.distributorKey,
+                cert: options.distributorCert,
+                password: distributorPasswords[0]
+            }, options.configDir));
+        } else if (!distributorKeys.length && options.distributor) {
+            for (const [index, p12] of options.distributor.entries()) {
+                distributorKeys.push(await readSigningKey(options.distributor.length > 1 ? `distributor ${index + 1}` : 'distributor', {
+                    p12,
+                    password: distributorPasswords[index]
+                }, options.configDir));
+            }
         }
 
-        const authorDer = forge.asn1.fromDer(forge.util.createBuffer(readFileSync(options.author)));
-        const authorKey = forge.pkcs12.pkcs12FromAsn1(authorDer, false, options.authorPwd);
-
-        const isPackage = dir.endsWith('.tpk') || dir.endsWith('.wgt');
-
-        let files = [];
         const ignoredFilesAndFolders = options.ignore ? options.ignore.split(',').map(f => f.trim()) : [];
         const ignoredRegexes = ignoredFilesAndFolders
             .filter(pattern => pattern.startsWith('/') && pattern.endsWith('/'))
             .map(pattern => new RegExp(pattern.slice(1, -1)));
         const ignoredLiterals = ignoredFilesAndFolders.filter(pattern => !(pattern.startsWith('/') && pattern.endsWith('/')));
-        if (isPackage) {
-            const zip = await JSZip.loadAsync(readFileSync(dir));
-            files = await Promise.all(
-                Object.keys(zip.files).map(async (filename) => {
-                    const file = zip.files[filename];
-                    if (file.dir) return null;
-                    if (file.name === 'author-signature.xml' || file.name === 'signature1.xml') return null;
-                    const data = await file.async('nodebuffer');
-                    return {
-                        uri: encodeURIComponent(filename),
-                        data
-                    };
-                })
-            );
-
-            files = files.filter(Boolean);
-        } else {
-            readdirSync('.').forEach(file => {
-                const stat = statSync(file);
-                if (
-                    ignoredLiterals.includes(file) ||
-                    ignoredRegexes.some(re => re.test(file))
-                ) {
-                    return;
-                }
-                if (stat.isFile()) {
-                    const data = readFileSync(file);
-                    files.push({ uri: encodeURIComponent(file), data });
-                } else if (stat.isDirectory()) {
-                    readFilesInDirectory(file);
+
+        const buildOptions = {
+            input: dir,
+            type: options.type,
+            web: options.web,
+            author: authorKey,
+            keepAuthor: options.keepAuthor,
+            distributor: distributorKeys.length ? distributorKeys : undefined,
+            privilege: options.privilege,
+            ignore: path => {
+                const name = path.split('/').pop();
+                return ignoredLiterals.includes(name) || ignoredRegexes.some(re => re.test(name));
+            },
+            ignoreFile: options.ignoreFile,
+            manifest: {
+                packageId: options.packageId,
+                appId: options.appId,
+                version: options.version,
+                name: options.name
+            },
+            reproducible: options.reproducible,
+            uniqueIdentifiers: options.uniqueIdentifiers,
+            digestAlgorithm: options.digestAlgorithm,
+            signatureAlgorithm: options.signatureAlgorithm,
+            verifyCertificates: options.verifyCerts,
+            warnDays: Number(options.expiryWarning),
+            certDir: options.certDir,
+            output: options.output,
+            logger: console
+        };
+        const device = options.target ? Device.fromTarget(options.target) : null;
+
+        if (!options.watch) {
+            try {
+                await buildPackage(buildOptions);
+                console.log(`Tizen package created successfully: ${options.output}`);
+                if (device) {
+                    await device.install(options.output);
+                    console.log(`Installed ${options.output} on ${options.target}`);
                 }
-            });
-
-            function readFilesInDirectory(directory) {
-                readdirSync(directory).forEach(file => {
-                    if (
-                        ignoredLiterals.includes(file) ||
-                        ignoredRegexes.some(re => re.test(file))
-                    ) {
-                        return;
-                    }
-                    const filePath = `${directory}/${file}`;
-                    const stat = statSync(filePath);
-                    if (stat.isFile()) {
-                        const data = readFileSync(filePath);
-                        files.push({ uri: encodeURIComponent(filePath), data });
-                    } else if (stat.isDirectory()) {
-                        readFilesInDirectory(filePath);
-                    }
-                });
+            } finally {
+                if (device) device.close();
+            }
+            return;
+        }
+
+        const watcher = await watch({
+            ...buildOptions,
+            device,
+            onBuild: summary => {
+                console.log(`[${new Date().toLocaleTimeString()}] Built ${options.output} in ${summary.duration} ms: ${summary.size} bytes, ${summary.hashed} files hashed, ${summary.cached} unchanged`);
+                if (summary.installed !== undefined) console.log(`Installed on ${options.target}`);
+            },
+            onError: error => console.error(`[${new Date().toLocaleTimeString()}] Build failed: ${error.message}`)
+        });
+        console.log(`Watching ${dir} for changes, press Ctrl+C to stop`);
+
+        process.once('SIGINT', () => {
+            watcher.close();
+            if (device) device.close();
+        });
+    });
+
+program.command('verify <pkg>')
+    .description('Verify the signatures of a Tizen package')
+    .action(async (pkg) => {
+        const files = await readPackage(pkg);
+        const result = await Signature.verify(files);
+
+        for (const error of result.errors) {
+            console.log(`ERROR: ${error}`);
+        }
+
+        for (const signature of result.signatures) {
+            console.log(`${signature.file} (${signature.id}): ${signature.valid ? 'OK' : 'INVALID'}`);
+            if (signature.certificates.length) {
+                console.log(`  Signer: ${formatName(signature.certificates[0].subject)}`);
+            }
+            if (!signature.signatureValid) console.log('  SignatureValue does not match SignedInfo');
+            signature.mismatched.forEach(file => console.log(`  Digest mismatch: ${file}`));
+            signature.missing.forEach(file => console.log(`  Missing file: ${file}`));
+            signature.extra.forEach(file => console.log(`  Unsigned file: ${file}`));
+            signature.errors.forEach(error => console.log(`  ${error}`));
+        }
+
+        if (!result.valid) {
+            console.log('Package verification failed');
+            process.exitCode = 1;
+        } else {
+            console.log('Package verified successfully');
+        }
+    });
+
+program.command('unpack <pkg>')
+    .description('Extract a Tizen package into a project directory, with a JSON file of its signers and manifest next to it')
+    .requiredOption('-o, --output <dir>', 'Directory the files are extracted to')
+    .option('--strip-signatures', 'Leave out author-signature.xml and signature*.xml')
+    .option('--metadata <file>', 'Path of the JSON file with the signer certificates and manifest info. Defaults to <dir>.json')
+    .option('--force', 'Extract into a directory that isn\'t empty, overwriting files')
+    .action(async (pkg, options) => {
+        const metadata = await unpackPackage({
+            input: pkg,
+            output: options.output,
+            stripSignatures: options.stripSignatures,
+            metadata: options.metadata,
+            force: options.force
+        });
+
+        console.log(`Extracted ${metadata.files.length} files to ${options.output}`);
+        for (const signature of metadata.signatures) {
+            const signer = signature.certificates.length ? signature.certificates[0].subject : 'no certificate';
+            console.log(`  ${signature.file} (${signature.role}): ${signature.error || signer}${options.stripSignatures ? ', stripped' : ''}`);
+        }
+        console.log(`Metadata written to ${options.metadata || `${resolve(options.output)}.json`}`);
+    });
+
+program.command('info <pkg|dir>')
+    .description('Show the manifest and signing information of a Tizen package or project directory')
+    .option('--json', 'Print the information as JSON')
+    .action(async (input, options) => {
+        const info = await inspectPackage(input);
+
+        if (options.json) {
+            console.log(JSON.stringify(info, null, 2));
+            return;
+        }
+
+        console.log(`Type: ${info.type}`);
+        console.log(`Package ID: ${info.packageId}`);
+        console.log(`App ID: ${info.appId}`);
+        console.log(`Name: ${info.name}`);
+        console.log(`Version: ${info.version}`);
+        console.log(`Required API version: ${info.requiredVersion}`);
+        console.log('Privileges:');
+        info.privileges.forEach(privilege => console.log(`  ${privilege}`));
+        console.log('Files:');
+        info.files.forEach(file => console.log(`  ${file.path} (${file.size} bytes)`));
+
+        if (!info.signatures.length) console.log('Not signed');
+        for (const signature of info.signatures) {
+            console.log(`${signature.file} (${signature.role}):`);
+            for (const cert of signature.certificates) {
+                console.log(`  Subject: ${cert.subject}`);
+                console.log(`  Issuer: ${cert.issuer}`);
+                console.log(`  Expires: ${cert.notAfter.toISOString()}`);
             }
         }
+    });
 
-        const AuthorSignature = new Signature('AuthorSignature', files);
-        const authorFiles = await AuthorSignature.sign(authorKey);
-        const DistributorSignature = new Signature('DistributorSignature', authorFiles);
-        const distributorFiles = await DistributorSignature.sign(distributorKey);
+program.command('cert-info <file>')
+    .description('Show the certificates of a .p12 or device-profile.xml')
+    .option('--password <password>', 'Password for the .p12')
+    .option('--json', 'Print the information as JSON')
+    .action(async (file, options) => {
+        const password = options.password && await resolvePassword(options.password);
+        const info = inspectCertificate(readFileSync(file), password);
 
-        const newZip = new JSZip();
+        if (options.json) {
+            console.log(JSON.stringify(info, null, 2));
+            return;
+        }
 
-        distributorFiles.forEach(file => {
-            newZip.file(decodeURIComponent(file.uri), file.data);
+        info.certificates.forEach((cert, index) => {
+            console.log(index === 0 ? 'Certificate:' : `Issuer certificate ${index}:`);
+            console.log(`  Subject: ${cert.subject}`);
+            console.log(`  Issuer: ${cert.issuer}`);
+            console.log(`  Valid: ${cert.notBefore.toISOString()} - ${cert.notAfter.toISOString()}${cert.notAfter < new Date() ? ' (EXPIRED)' : ''}`);
+            if (cert.keyType) console.log(`  Key type: ${cert.keyType.toUpperCase()}`);
+            if (cert.keySize) console.log(`  Key size: ${cert.keySize} bits`);
         });
 
-        const zipData = await newZip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
-        writeFileSync(options.output, zipData);
+        console.log(`Privilege level: ${info.privilegeLevel || 'unknown'}`);
+        if (info.deviceIds.length) {
+            console.log('DUIDs:');
+            info.deviceIds.forEach(deviceId => console.log(`  ${deviceId}`));
+        }
+    });
 
-        console.log(`Tizen package created successfully: ${options.output}`);
+program.command('install <pkg>')
+    .description('Install a Tizen package on a device')
+    .requiredOption('--target <ip>', 'IP address of the device, optionally with the sdb port (default 26101)')
+    .action(async (pkg, options) => {
+        const device = Device.fromTarget(options.target);
+        try {
+            await device.connect();
+            console.log(`Connected to ${options.target}`);
+            await device.install(pkg);
+            console.log(`Installed ${pkg} on ${options.target}`);
+        } finally {
+            device.close();
+        }
+    });
+
+program.command('uninstall <packageId>')
+    .description('Uninstall a package from a device')
+    .requiredOption('--target <ip>', 'IP address of the device, optionally with the sdb port (default 26101)')
+    .action(async (packageId, options) => {
+        const device = Device.fromTarget(options.target);
+        try {
+            await device.uninstall(packageId);
+            console.log(`Uninstalled ${packageId} from ${options.target}`);
+        } finally {
+            device.close();
+        }
     });
 
 program.command('create-tizen-cert')
     .description('Create a Tizen Certificate')
     .requiredOption('--name <name>', 'Name of the author')
     .option('--email [email]', 'Email of the author')
-    .requiredOption('--password <password>', 'Password for the certificate')
+    .option('--password <password>', 'Password for the certificate')
     .option('--country [country]', 'Country of the author')
     .option('--state [state]', 'State of the author')
     .option('--city [city]', 'City of the author')
     .option('--organization [organization]', 'Organization of the author')
     .option('--department [department]', 'Department of the author')
     .option('--privilege [privilege]', 'Privilege level of the certificate')
+    .option('--key-size <bits>', 'RSA key size, at least 2048', '2048')
+    .option('--validity-days <days>', 'Days the certificate is valid for', '365')
+    .option('--serial <hex>', 'Serial number of the certificate in hex, random if it isn\'t provided')
+    .option('--digest <digest>', 'Digest the certificate is signed with, can be "sha256", "sha384" or "sha512"', 'sha512')
     .requiredOption('--output <file>', 'Output file path')
+    .option('--cert-dir <directory>', 'Directory the Tizen certificates are cached in. Defaults to TIZENJS_CERT_DIR or ~/share')
     .action(async (options) => {
-        const creator = new TizenCertificateCreator();
+        options.serialNumber = options.serial;
+        getKeyOptions(options);
+        options.password = await resolvePassword(options.password, { label: 'Password for the certificate' });
+        const creator = new TizenCertificateCreator({ certDir: options.certDir });
         const cert = await creator.createCertificate(options);
         writeFileSync(options.output, cert, { encoding: 'binary' });
         console.log(`Tizen Certificate created successfully: ${options.output}`);
 
     });
 
+async function signInToSamsung(options) {
+    if (options.tokenFile) {
+        return SamsungAccount.readTokenFile(options.tokenFile);
+    }
+
+    const account = new SamsungAccount({ port: Number(options.loginPort) });
+    const loginOptions = {
+        open: options.open,
+        onUrl: url => console.log(`Please sign in at ${url}`)
+    };
+    const accessInfo = options.cacheToken ? await account.getAccessInfo(loginOptions) : await account.login(loginOptions);
+    console.log('Signed in successfully');
+    return accessInfo;
+}
+
+async function getDuidList(options) {
+    if (!options.duidList && !options.device) {
+        throw new Error('Either --duidList or --device is required');
+    }
+
+    const duidList = options.duidList ? options.duidList.split(',') : [];
+    let device;
+    if (options.device) {
+        device = Device.fromTarget(options.device);
+        // Signing in can take a while, connect again for pushing the device profile.
+        const duid = await device.getDuid().finally(() => device.close());
+        console.log(`DUID of ${options.device}: ${duid}`);
+        if (!duidList.includes(duid)) duidList.push(duid);
+    }
+    return { duidList, device };
+}
+
+async function pushDeviceProfile(device, distributorXML) {
+    try {
+        await device.pushDeviceProfile(distributorXML);
+        console.log(`Device profile pushed to ${device.host}`);
+    } finally {
+        device.close();
+    }
+}
+
 program.command('create-samsung-cert')
     .description('Create a Samsung Certificate')
     .requiredOption('--name <name>', 'Name of the author')
-    .requiredOption('--password <password>', 'Password for the certificate')
+    .option('--password <password>', 'Password for the certificates')
     .requiredOption('--email <email>', 'Email of the author')
-    .requiredOption('--duidList <duidList>', 'List of DUIDs for the certificate. Separated by commas')
+    .option('--duidList <duidList>', 'List of DUIDs for the certificate. Separated by commas')
+    .option('--device <ip>', 'Read the DUID from this device and push the device profile to it after creating the certificate')
     .requiredOption('--privilege <privilege>', 'Privilege level of the certificate. Can be "Partner" or "Public"')
     .requiredOption('--output <directory>', 'Output directory path')
+    .option('--key-size <bits>', 'RSA key size of the author and distributor keys, at least 2048', '2048')
+    .option('--digest <digest>', 'Digest the certificate requests are signed with, can be "sha256", "sha384" or "sha512"', 'sha512')
+    .option('--cert-dir <directory>', 'Directory the Samsung certificates are cached in. Defaults to TIZENJS_CERT_DIR or ~/share')
+    .option('--token-file <file>', 'Read the Samsung account token from a JSON file instead of signing in')
+    .option('--cache-token', 'Reuse the Samsung account token until it expires')
+    .option('--login-port <port>', 'Port of the local sign in listener', '4794')
+    .option('--no-open', 'Only print the sign in URL instead of opening a browser')
     .action(async (options) => {
         if (options.privilege !== 'Public' && options.privilege !== 'Partner') {
             throw new Error('Invalid privilege level');
         }
+        // Checked before signing in, so a typo doesn't cost a trip through the browser.
+        getKeyOptions(options);
 
-        console.log('Please sign in at https://account.samsung.com/accounts/TDC/signInGate?clientId=v285zxnl3h&tokenType=TOKEN');
-        console.log('After signing in, copy the JSON response and paste it below:');
-        const response = await new Promise((resolve) => {
-            const stdin = process.stdin;
-            const stdout = process.stdout;
-            stdin.resume();
-            stdout.write('> ');
-            stdin.on('data', (data) => {
-                stdin.pause();
-                resolve(data.toString().trim());
-            });
-        });
+        const password = await resolvePassword(options.password, { label: 'Password for the certificates' });
+        const { duidList, device } = await getDuidList(options);
 
-        let accessInfo;
-        try {
-            accessInfo = JSON.parse(response);
-        } catch (error) {
-            throw new Error('Invalid JSON response');
-        }
-        
-        accessInfo = {
-            accessToken: accessInfo.access_token,
-            userId: accessInfo.userId
-        }
+        const accessInfo = await signInToSamsung(options);
 
         const authorInfo = {
             name: options.name,
             email: options.email,
             privilegeLevel: options.privilege,
-            password: options.password
+            password,
+            keySize: Number(options.keySize),
+            digest: options.digest
         };
 
-        const duidList = options.duidList.split(',');
-
-        const certCreator = new SamsungCertificateCreator();
+        const certCreator = new SamsungCertificateCreator({ certDir: options.certDir });
         const info = await certCreator.createCertificate(authorInfo, accessInfo, duidList);
 
         mkdirSync(options.output, { recursive: true });
@@ -203,6 +452,180 @@ program.command('create-samsung-cert')
         writeFileSync(`${options.output}/device-profile.xml`, info.distributorXML);
 
         console.log(`Samsung Certificate created successfully: ${options.output}`);
+
+        if (device) await pushDeviceProfile(device, info.distributorXML);
+    });
+
+const samsungCert = program.command('samsung-cert')
+    .description('Manage Samsung certificates');
+
+samsungCert.command('add-device')
+    .description('Re-issue the distributor certificate with more DUIDs, keeping the author certificate')
+    .requiredOption('--author <path>', 'Path to the existing author certificate')
+    .option('--password <password>', 'Password for the author certificate, also used for the new distributor certificate')
+    .option('--distributor <path>', 'Path to the existing distributor certificate, its DUIDs and privilege level are kept')
+    .option('--distributorPwd <password>', 'Password for the existing distributor certificate, defaults to --password')
+    .option('--duidList <duidList>', 'List of DUIDs to add. Separated by commas')
+    .option('--device <ip>', 'Read the DUID from this device and push the device profile to it after creating the certificate')
+    .option('--privilege <privilege>', 'Privilege level of the certificate. Can be "Partner" or "Public"')
+    .option('--email <email>', 'Email for the distributor certificate, defaults to the one in the existing certificates')
+    .requiredOption('--output <directory>', 'Output directory path')
+    .option('--key-size <bits>', 'RSA key size of the new distributor key, at least 2048', '2048')
+    .option('--digest <digest>', 'Digest the certificate request is signed with, can be "sha256", "sha384" or "sha512"', 'sha512')
+    .option('--cert-dir <directory>', 'Directory the Samsung certificates are cached in. Defaults to TIZENJS_CERT_DIR or ~/share')
+    .option('--token-file <file>', 'Read the Samsung account token from a JSON file instead of signing in')
+    .option('--cache-token', 'Reuse the Samsung account token until it expires')
+    .option('--login-port <port>', 'Port of the local sign in listener', '4794')
+    .option('--no-open', 'Only print the sign in URL instead of opening a browser')
+    .action(async (options) => {
+        getKeyOptions(options);
+        const password = await resolvePassword(options.password, { label: 'Password for the author certificate' });
+        const distributorPassword = options.distributorPwd && await resolvePassword(options.distributorPwd, { label: 'Password for the distributor certificate' });
+        const { duidList, device } = await getDuidList(options);
+        const accessInfo = await signInToSamsung(options);
+
+        const certCreator = new SamsungCertificateCreator({ certDir: options.certDir });
+        const info = await certCreator.updateDistributor(readFileSync(options.author), password, accessInfo, duidList, {
+            existingDistributor: options.distributor ? readFileSync(options.distributor) : undefined,
+            distributorPassword,
+            privilegeLevel: options.privilege,
+            email: options.email,
+            keySize: Number(options.keySize),
+            digest: options.digest
+        });
+
+        mkdirSync(options.output, { recursive: true });
+
+        writeFileSync(`${options.output}/distributor.p12`, info.distributorCert, { encoding: 'binary' });
+        writeFileSync(`${options.output}/device-profile.xml`, info.distributorXML);
+
+        console.log(`Distributor certificate created for ${info.duidList.join(', ')}: ${options.output}`);
+
+        if (device) await pushDeviceProfile(device, info.distributorXML);
+    });
+
+const certs = program.command('certs')
+    .description('Manage the cached Tizen and Samsung certificates');
+
+certs.command('import <zip|dir>')
+    .description('Import the certificates from a certificate-generator zip, a tizen-certificate-extension zip or a Tizen Studio install')
+    .option('--cert-dir <directory>', 'Directory to cache the certificates in. Defaults to TIZENJS_CERT_DIR or ~/share')
+    .option('--sha256 <checksum>', 'Expected SHA-256 of the zip, required when importing from a zip')
+    .action(async (source, options) => {
+        const creators = [
+            new TizenCertificateCreator({ certDir: options.certDir }),
+            new SamsungCertificateCreator({ certDir: options.certDir })
+        ];
+
+        const errors = [];
+        for (const creator of creators) {
+            try {
+                const directory = await creator.importCertificates(source, { sha256: options.sha256 });
+                console.log(`Certificates imported to ${directory}`);
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        if (errors.length === creators.length) {
+            throw new Error(`No certificates could be imported from ${source}:\n${[...new Set(errors.map(error => error.message))].join('\n')}`);
+        }
+    });
+
+const profile = program.command('profile')
+    .description('Manage signing profiles')
+    .option('--config-dir <directory>', 'Directory the signing profiles are stored in. Defaults to TIZENJS_CONFIG_DIR or ~/.tizenjs');
+
+const getProfiles = () => new SigningProfiles({ configDir: profile.opts().configDir });
+
+profile.command('add <name>')
+    .description('Add a signing profile, replacing any profile with the same name')
+    .requiredOption('--author <path>', 'Path to the author certificate')
+    .requiredOption('--authorPwd <password>', 'Password for the author certificate')
+    .option('--distributor <path>', 'Path to the distributor certificate, the SDK distributor certificate is used if it isn\'t provided')
+    .option('--distributorPwd <password>', 'Password for the distributor certificate')
+    .option('--active', 'Make the profile active')
+    .action((name, options) => {
+        getProfiles().add({
+            name,
+            author: { key: options.author, password: options.authorPwd },
+            distributor: options.distributor ? { key: options.distributor, password: options.distributorPwd } : undefined
+        }, { active: options.active });
+
+        console.log(`Signing profile ${name} added`);
+    });
+
+profile.command('list')
+    .description('List the signing profiles')
+    .action(() => {
+        const { active, profiles } = getProfiles().list();
+        if (!profiles.length) console.log('No signing profiles');
+
+        for (const { name, author, distributor } of profiles) {
+            console.log(`${name === active ? '*' : ' '} ${name}`);
+            console.log(`    Author: ${author.key}`);
+            console.log(`    Distributor: ${distributor ? distributor.key : 'SDK distributor certificate'}`);
+        }
+    });
+
+profile.command('remove <name>')
+    .description('Remove a signing profile')
+    .action((name) => {
+        getProfiles().remove(name);
+        console.log(`Signing profile ${name} removed`);
+    });
+
+profile.command('set-active <name>')
+    .description('Use a signing profile when build is run without --author or --profile')
+    .action((name) => {
+        getProfiles().setActive(name);
+        console.log(`Signing profile ${name} is now active`);
+    });
+
+profile.command('import <profiles.xml>')
+    .description('Import the signing profiles of Tizen Studio, usually in tizen-studio-data/profile/profiles.xml')
+    .option('--overwrite', 'Replace profiles with the same name')
+    .action((xmlPath, options) => {
+        const names = getProfiles().importTizenStudio(xmlPath, { overwrite: options.overwrite });
+        console.log(`Imported signing profiles: ${names.join(', ') || 'none'}`);
+    });
+
+profile.command('export <profiles.xml>')
+    .description('Write the signing profiles as a Tizen Studio profiles.xml, with .pwd files next to it')
+    .action(async (xmlPath) => {
+        await getProfiles().exportTizenStudio(xmlPath);
+        console.log(`Signing profiles exported to ${xmlPath}`);
+    });
+
+const credentials = program.command('credentials')
+    .description('Manage the encrypted credential store, unlocked with TIZENJS_MASTER_PASSWORD or a prompt')
+    .option('--config-dir <directory>', 'Directory the credential store is kept in. Defaults to TIZENJS_CONFIG_DIR or ~/.tizenjs');
+
+const getCredentialStore = () => new CredentialStore({ configDir: credentials.opts().configDir });
+
+credentials.command('set <name>')
+    .description('Store a password, use it elsewhere as store:<name>')
+    .option('--password <password>', 'The password to store, asked for if it isn\'t given')
+    .action(async (name, options) => {
+        const store = getCredentialStore();
+        store.unlock(await getMasterPassword());
+        store.set(name, await resolvePassword(options.password, { label: `Password to store as ${name}` }));
+        console.log(`Stored ${name}`);
+    });
+
+credentials.command('list')
+    .description('List the names of the stored passwords')
+    .action(() => {
+        const names = getCredentialStore().list();
+        if (!names.length) console.log('No stored passwords');
+        names.forEach(name => console.log(name));
+    });
+
+credentials.command('remove <name>')
+    .description('Remove a stored password')
+    .action((name) => {
+        getCredentialStore().remove(name);
+        console.log(`Removed ${name}`);
     });
 
 program.parse();
\ No newline at end of file
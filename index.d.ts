@@ -0,0 +1,455 @@
+/// <reference types="node" />
+
+import { Readable, Writable } from 'stream';
+import { KeyObject } from 'crypto';
+
+/** A certificate parsed by node-forge (forge.pki.Certificate). */
+export type ForgeCertificate = any;
+
+/** A PKCS#12 file decoded by node-forge (forge.pkcs12.Pkcs12Pfx). */
+export type Pkcs12Pfx = { safeContents: any[] } & Record<string, any>;
+
+export interface File {
+    /** URI encoded path of the file */
+    uri: string;
+    data?: Buffer;
+    /** Opens a stream to the data of the file, used when data isn't given */
+    stream?: () => Readable;
+    size?: number;
+    /** Path of the file on the disk, for files read from a directory */
+    path?: string;
+    mtimeMs?: number;
+}
+
+export interface PrivateKeySigner {
+    /** PEM encoded private key */
+    privateKey: string | KeyObject;
+    passphrase?: string;
+    /** The chain, signer first. PEM may hold several certificates */
+    certificates: Array<string | Buffer | ForgeCertificate> | string | Buffer;
+}
+
+export type DigestAlgorithm = 'sha256' | 'sha384' | 'sha512';
+export type SignatureAlgorithmName = 'rsa-sha256' | 'rsa-sha384' | 'rsa-sha512' | 'ecdsa-sha256' | 'ecdsa-sha384' | 'ecdsa-sha512';
+
+export interface SignatureAlgorithm {
+    name: SignatureAlgorithmName;
+    /** The XMLDSig SignatureMethod URI */
+    uri: string;
+    keyType: 'rsa' | 'ec';
+    hash: DigestAlgorithm;
+}
+
+export interface CallbackSigner {
+    /** Signs the canonicalized SignedInfo with the given algorithm, returning the raw signature or base64. ECDSA signatures are r || s, not DER */
+    sign(canonicalSignedInfo: string, algorithm: SignatureAlgorithmName): Promise<Buffer | string>;
+    certificates: Array<string | Buffer | ForgeCertificate> | string | Buffer;
+}
+
+export type SigningKey = Pkcs12Pfx | PrivateKeySigner | CallbackSigner;
+
+export interface Signer {
+    certificates: ForgeCertificate[];
+    keyType: string;
+    sign(canonicalSignedInfo: string, algorithm: SignatureAlgorithm): Promise<string>;
+}
+
+export function createSigner(key: SigningKey): Signer;
+
+export interface ParsedSignature {
+    id: string;
+    signedInfo: any;
+    signatureMethod: string;
+    references: Array<{ uri: string; digestMethod: string; digestValue: string }>;
+    signatureValue: string;
+    certificates: ForgeCertificate[];
+    /** The <Object Id="prop"> element the #prop reference covers */
+    properties: any;
+    identifier: string | null;
+}
+
+export interface SignatureVerification {
+    file: string;
+    id: string;
+    valid: boolean;
+    signatureValid: boolean;
+    certificates: ForgeCertificate[];
+    mismatched: string[];
+    missing: string[];
+    extra: string[];
+    errors: string[];
+}
+
+export interface VerificationResult {
+    valid: boolean;
+    signatures: SignatureVerification[];
+    errors: string[];
+}
+
+export class DigestCache {
+    /** Files whose cached digests were reused since the last prune */
+    readonly hits: number;
+    /** Files whose digests were calculated since the last prune */
+    readonly misses: number;
+    get(file: File, algorithm: string, compute: () => Promise<string>): Promise<string>;
+    /** Drops the digests that weren't used since the last prune and resets the counters */
+    prune(): void;
+}
+
+export class Signature {
+    /** Any ID but AuthorSignature makes a distributor signature */
+    constructor(id: 'AuthorSignature' | 'DistributorSignature' | string, files: File[], options?: {
+        digestCache?: DigestCache;
+        /** Value of the dsp:Identifier signature property, empty by default */
+        identifier?: string;
+        /** Defaults to sha512 */
+        digestAlgorithm?: DigestAlgorithm;
+        /** Follows the digest algorithm and the key type of the certificate by default */
+        signatureAlgorithm?: SignatureAlgorithmName;
+    });
+    id: string;
+    files: File[];
+    /** Signs the files and adds the signature file in front of them */
+    sign(key: SigningKey): Promise<File[]>;
+    static parse(data: Buffer | string): ParsedSignature;
+    static verify(files: File[]): Promise<VerificationResult>;
+}
+
+export interface ManifestChanges {
+    packageId?: string;
+    appId?: string;
+    version?: string;
+    name?: string;
+}
+
+export class Manifest {
+    constructor(type: 'wgt' | 'tpk', data: Buffer | string);
+    type: 'wgt' | 'tpk';
+    packageId: string;
+    appId: string;
+    version: string;
+    name: string;
+    readonly requiredVersion: string;
+    readonly privileges: string[];
+    /** Merges the config.xml of a bundled web app into this tizen-manifest.xml, returning what changed */
+    mergeWidget(widget: Manifest): string[];
+    update(changes: ManifestChanges): void;
+    toBuffer(): Buffer;
+    static fileName(type: 'wgt' | 'tpk'): string;
+    static fromFiles(files: File[]): Promise<Manifest | null>;
+    static rewrite(files: File[], changes: ManifestChanges): Promise<Manifest>;
+}
+
+export interface CertificateDescription {
+    subject: string;
+    issuer: string;
+    serialNumber: string;
+    notBefore: Date;
+    notAfter: Date;
+    keyType: string;
+    /** Size of the RSA key, or of the EC curve, in bits */
+    keySize: number | null;
+    deviceIds: string[];
+}
+
+export interface PackageInfo {
+    type: 'wgt' | 'tpk';
+    packageId: string;
+    appId: string;
+    name: string;
+    version: string;
+    requiredVersion: string;
+    privileges: string[];
+    files: Array<{ path: string; size: number }>;
+    signatures: Array<{ file: string; id: string; role: 'author' | 'distributor'; certificates: CertificateDescription[] }>;
+}
+
+export function inspectPackage(input: string | Buffer): Promise<PackageInfo>;
+
+export interface UnpackOptions {
+    /** Path to a .wgt/.tpk or its contents */
+    input: string | Buffer;
+    /** Has to be empty or missing unless `force` is set */
+    output: string;
+    /** Leave out author-signature.xml and signatureN.xml */
+    stripSignatures?: boolean;
+    /** Path of the JSON sidecar. Defaults to the output directory with ".json" added */
+    metadata?: string;
+    /** Extract into a directory that isn't empty, overwriting files */
+    force?: boolean;
+}
+
+export interface UnpackMetadata {
+    /** Path of the package, if it was read from one */
+    source: string | null;
+    manifest: {
+        type: 'wgt' | 'tpk';
+        packageId: string;
+        appId: string;
+        name: string;
+        version: string;
+        requiredVersion: string;
+        privileges: string[];
+    } | null;
+    signatures: Array<{
+        file: string;
+        id: string | null;
+        role: 'author' | 'distributor';
+        identifier: string | null;
+        signatureMethod: string | null;
+        /** Signer first */
+        certificates: Array<CertificateDescription & { pem: string }>;
+        /** Why the signature file couldn't be read */
+        error?: string;
+    }>;
+    signaturesStripped: boolean;
+    /** Paths of the extracted files */
+    files: string[];
+}
+
+/** Extracts a package into a project directory and writes the JSON sidecar. Refuses entries that point outside of the directory */
+export function unpackPackage(options: UnpackOptions): Promise<UnpackMetadata>;
+
+export interface CertificateFileInfo {
+    type: 'pkcs12' | 'device-profile';
+    certificates: CertificateDescription[];
+    privilegeLevel: 'public' | 'partner' | 'platform' | null;
+    deviceIds: string[];
+}
+
+export function inspectCertificate(data: Buffer, password?: string): CertificateFileInfo;
+
+export interface CertificateValidation {
+    errors: string[];
+    warnings: string[];
+    privilegeLevel: 'public' | 'partner' | 'platform' | null;
+}
+
+export function validateCertificates(options: {
+    /** Left out when a package keeps its author signature */
+    author?: SigningKey;
+    distributor?: SigningKey | SigningKey[];
+    privileges?: string[];
+    certDir?: string;
+    warnDays?: number;
+    now?: Date;
+}): CertificateValidation;
+
+export interface WriteOptions {
+    reproducible?: boolean;
+    date?: Date;
+}
+
+export function writePackage(files: File[], options?: WriteOptions): Promise<Buffer>;
+export function writePackageStream(files: File[], options?: WriteOptions): Readable;
+
+export interface BuildOptions {
+    /** A project directory, a path to a .wgt/.tpk, the contents of a package or a list of files */
+    input: string | Buffer | File[];
+    /** A hybrid package is a .tpk carrying the `web` app under res/wgt */
+    type?: 'wgt' | 'tpk' | 'hybrid';
+    /** With the hybrid type, a web project directory, a .wgt or a list of files */
+    web?: string | Buffer | File[];
+    /** Not needed with `keepAuthor` */
+    author?: SigningKey;
+    /** Keep the author signature of a signed input byte for byte and only replace the distributor signatures. It's checked first */
+    keepAuthor?: boolean;
+    /** One key, or a list signing signature1.xml, signature2.xml and so on. Defaults to the Tizen SDK distributor certificate of `privilege` */
+    distributor?: SigningKey | SigningKey[];
+    privilege?: 'public' | 'partner';
+    /** Extra rules in .gitignore format, or a function called with every relative path */
+    ignore?: string[] | ((path: string, isDirectory: boolean) => boolean);
+    /** More rules in .gitignore format. A .tizenignore at the root of a project directory is always read */
+    ignoreFile?: string;
+    /** Leave out .git, node_modules, .DS_Store, old .wgt/.tpk files and signature files of a project directory. Defaults to true */
+    defaultIgnore?: boolean;
+    /** Changes to the package ID, app ID, version or name. Not supported with the hybrid type */
+    manifest?: ManifestChanges;
+    reproducible?: boolean;
+    verifyCertificates?: boolean;
+    warnDays?: number;
+    certDir?: string;
+    logger?: { log(message: string): void; warn(message: string): void };
+    /** Reuses the digests of unchanged files between builds */
+    digestCache?: DigestCache;
+    /** Give every signature a random urn:uuid identifier, instead of the empty one Tizen Studio writes */
+    uniqueIdentifiers?: boolean;
+    /** Digest of the signed files. Defaults to sha512 */
+    digestAlgorithm?: DigestAlgorithm;
+    /** Follows `digestAlgorithm` and the key type of each certificate by default */
+    signatureAlgorithm?: SignatureAlgorithmName;
+}
+
+export function buildPackage(options: BuildOptions & { output: string | Writable }): Promise<void>;
+export function buildPackage(options: BuildOptions & { output?: undefined }): Promise<Buffer>;
+
+export interface AppendDistributorOptions {
+    /** Path to a .wgt/.tpk, the contents of a package or a list of files */
+    input: string | Buffer | File[];
+    distributor: SigningKey;
+    reproducible?: boolean;
+    uniqueIdentifiers?: boolean;
+    digestAlgorithm?: DigestAlgorithm;
+    signatureAlgorithm?: SignatureAlgorithmName;
+}
+
+/** Adds the next signatureN.xml to a signed package, leaving its files and signatures as they are */
+export function appendDistributorSignature(options: AppendDistributorOptions & { output: string | Writable }): Promise<void>;
+export function appendDistributorSignature(options: AppendDistributorOptions & { output?: undefined }): Promise<Buffer>;
+
+export interface BuildSummary {
+    output: string;
+    size: number;
+    /** Files whose digests were calculated */
+    hashed: number;
+    /** Unchanged files whose digests were reused */
+    cached: number;
+    duration: number;
+    /** Output of the installer, if the package was installed on a device */
+    installed?: string;
+}
+
+export interface WatchOptions extends BuildOptions {
+    input: string;
+    output: string;
+    /** Milliseconds to wait for more changes before rebuilding. Defaults to 300 */
+    debounce?: number;
+    /** Installs the package on this device after every build */
+    device?: Device;
+    onBuild?(summary: BuildSummary): void;
+    /** Called when a build or install fails. The watcher keeps running */
+    onError?(error: Error): void;
+}
+
+export interface Watcher {
+    close(): void;
+    rebuild(): Promise<BuildSummary | undefined>;
+}
+
+export function watch(options: WatchOptions): Promise<Watcher>;
+
+export interface AuthorInfo {
+    name: string;
+    email?: string;
+    password: string;
+    country?: string;
+    state?: string;
+    city?: string;
+    organization?: string;
+    department?: string;
+    privilegeLevel?: string;
+    /** RSA key size in bits, at least 2048. Defaults to 2048 */
+    keySize?: number;
+    /** Digest the certificate (or the Samsung certificate requests) are signed with. Defaults to sha512 */
+    digest?: 'sha256' | 'sha384' | 'sha512';
+    /** Days a Tizen certificate is valid for. Defaults to 365, Samsung picks its own */
+    validityDays?: number;
+    /** Hex serial number of a Tizen certificate. Random if it's not given */
+    serialNumber?: string;
+}
+
+export interface AccessInfo {
+    accessToken: string;
+    userId: string;
+    expiresAt?: number;
+}
+
+export class TizenCertificateCreator {
+    constructor(options?: { certDir?: string });
+    certDir: string;
+    /** Returns the .p12 as a binary string */
+    createCertificate(authorInfo: AuthorInfo): Promise<string>;
+    getSdkDistributor(privilege: 'public' | 'partner'): Promise<Pkcs12Pfx>;
+    /** `sha256` is required when `source` is a zip */
+    importCertificates(source: string, options?: { sha256?: string }): Promise<string>;
+}
+
+export interface UpdateDistributorOptions {
+    existingDistributor?: Buffer | string;
+    distributorPassword?: string;
+    email?: string;
+    privilegeLevel?: 'Public' | 'Partner';
+    keySize?: number;
+    digest?: 'sha256' | 'sha384' | 'sha512';
+}
+
+export class SamsungCertificateCreator {
+    constructor(options?: { certDir?: string });
+    certDir: string;
+    createCertificate(authorInfo: AuthorInfo, accessInfo: AccessInfo, duidList: string[]): Promise<{ authorCert: string; distributorCert: string; distributorXML: string }>;
+    updateDistributor(existingAuthorP12: Buffer | string, password: string, accessInfo: AccessInfo, duidList: string[], options?: UpdateDistributorOptions): Promise<{ distributorCert: string; distributorXML: string; duidList: string[] }>;
+    /** `sha256` is required when `source` is a zip */
+    importCertificates(source: string, options?: { sha256?: string }): Promise<string>;
+}
+
+export class SamsungAccount {
+    constructor(options?: { port?: number; timeout?: number; configDir?: string });
+    readonly tokenCachePath: string;
+    getSignInUrl(redirectUri: string, state: string): string;
+    login(options?: { open?: boolean; onUrl?: (url: string) => void }): Promise<AccessInfo>;
+    getAccessInfo(options?: { open?: boolean; onUrl?: (url: string) => void }): Promise<AccessInfo>;
+    static readTokenFile(path: string): AccessInfo;
+    static writeTokenFile(path: string, accessInfo: AccessInfo): void;
+}
+
+export class Device {
+    constructor(host: string, options?: { port?: number; timeout?: number });
+    host: string;
+    port: number;
+    static fromTarget(target: string): Device;
+    /** Resolves with the banner of the device */
+    connect(): Promise<string>;
+    shell(command: string): Promise<string>;
+    push(source: string | Buffer, remotePath: string, mode?: number): Promise<void>;
+    getDuid(): Promise<string>;
+    pushDeviceProfile(distributorXML: string | Buffer): Promise<void>;
+    install(packagePath: string): Promise<string>;
+    uninstall(packageId: string): Promise<string>;
+    close(): void;
+}
+
+export interface SigningProfileKey {
+    key: string;
+    password: string;
+    ca?: string;
+}
+
+export interface SigningProfile {
+    name: string;
+    author: SigningProfileKey;
+    distributor?: SigningProfileKey;
+}
+
+export class SigningProfiles {
+    constructor(options?: { configDir?: string });
+    readonly path: string;
+    list(): { active: string | null; profiles: SigningProfile[] };
+    get(name?: string): SigningProfile;
+    add(profile: SigningProfile, options?: { active?: boolean }): void;
+    remove(name: string): void;
+    setActive(name: string): void;
+    importTizenStudio(xmlPath: string, options?: { overwrite?: boolean }): string[];
+    exportTizenStudio(xmlPath: string): Promise<void>;
+    static encryptPassword(password: string): string;
+    static decryptPassword(data: string): string;
+}
+
+export class CredentialStore {
+    constructor(options?: { configDir?: string });
+    readonly path: string;
+    unlock(masterPassword: string): void;
+    list(): string[];
+    get(name: string): string;
+    set(name: string, password: string): void;
+    remove(name: string): void;
+}
+
+export class IgnoreRules {
+    constructor(options?: { defaults?: boolean });
+    static fromProject(directory?: string | null, options?: { ignoreFile?: string; defaults?: boolean }): IgnoreRules;
+    add(patterns: string | string[]): this;
+    /** Checks a single path, without its parent directories */
+    ignores(path: string, isDirectory?: boolean): boolean;
+    /** Checks a file path along with every directory above it */
+    isIgnored(path: string): boolean;
+}
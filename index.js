@@ -1,9 +1,41 @@
 const Signature = require('./src/packageSigner.js');
 const SamsungCertificateCreator = require('./src/samsungCertificateCreator.js');
 const TizenCertificateCreator = require('./src/tizenCertificateCreator.js');
+const Manifest = require('./src/manifest.js');
+const inspectPackage = require('./src/packageInspector.js');
+const unpackPackage = require('./src/packageUnpacker.js');
+const { writePackage, writePackageStream } = require('./src/packageWriter.js');
+const Device = require('./src/sdbDevice.js');
+const SamsungAccount = require('./src/samsungAccount.js');
+const { inspectCertificate } = require('./src/certificateInfo.js');
+const { validateCertificates } = require('./src/certificateValidator.js');
+const SigningProfiles = require('./src/signingProfiles.js');
+const CredentialStore = require('./src/credentialStore.js');
+const { createSigner } = require('./src/signer.js');
+const { buildPackage, appendDistributorSignature } = require('./src/packageBuilder.js');
+const IgnoreRules = require('./src/ignoreRules.js');
+const watch = require('./src/watcher.js');
+const DigestCache = require('./src/digestCache.js');
 
 module.exports = {
     Signature,
     SamsungCertificateCreator,
-    TizenCertificateCreator
+    TizenCertificateCreator,
+    Manifest,
+    inspectPackage,
+    unpackPackage,
+    writePackage,
+    writePackageStream,
+    Device,
+    SamsungAccount,
+    inspectCertificate,
+    validateCertificates,
+    SigningProfiles,
+    CredentialStore,
+    createSigner,
+    buildPackage,
+    appendDistributorSignature,
+    IgnoreRules,
+    watch,
+    DigestCache
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+// Digest and signature algorithms a package can be signed with, by name and by XMLDSig URI.
+
+const DIGEST_ALGORITHMS = {
+    sha256: 'http://www.w3.org/2001/04/xmlenc#sha256',
+    sha384: 'http://www.w3.org/2001/04/xmldsig-more#sha384',
+    sha512: 'http://www.w3.org/2001/04/xmlenc#sha512'
+};
+
+const SIGNATURE_ALGORITHMS = {
+    'rsa-sha256': { uri: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256', keyType: 'rsa', hash: 'sha256' },
+    'rsa-sha384': { uri: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha384', keyType: 'rsa', hash: 'sha384' },
+    'rsa-sha512': { uri: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512', keyType: 'rsa', hash: 'sha512' },
+    'ecdsa-sha256': { uri: 'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256', keyType: 'ec', hash: 'sha256' },
+    'ecdsa-sha384': { uri: 'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha384', keyType: 'ec', hash: 'sha384' },
+    'ecdsa-sha512': { uri: 'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha512', keyType: 'ec', hash: 'sha512' }
+};
+
+const KEY_ALGORITHMS = { rsa: 'rsa', ec: 'ecdsa' };
+
+/**
+ * @typedef {Object} SignatureAlgorithm
+ * @property {string} name - Such as "rsa-sha512"
+ * @property {string} uri - The XMLDSig SignatureMethod URI
+ * @property {string} keyType - "rsa" or "ec"
+ * @property {string} hash - Such as "sha512"
+ */
+
+/**
+ * Picks the digest and signature algorithms for a key. The signature algorithm follows the digest algorithm
+ * and the type of the key unless it's given.
+ * @param {Object} options
+ * @param {string} [options.digestAlgorithm="sha512"] - "sha256", "sha384" or "sha512"
+ * @param {string} [options.signatureAlgorithm] - Such as "rsa-sha256" or "ecdsa-sha256"
+ * @param {string} keyType - Type of the signer's key, "rsa" or "ec"
+ * @returns {{ digest: string, signature: SignatureAlgorithm }}
+ */
+
+function resolveAlgorithms(options, keyType) {
+    const digest = options.digestAlgorithm || 'sha512';
+    if (!DIGEST_ALGORITHMS[digest]) {
+        throw new Error(`Invalid digest algorithm: ${digest}. Must be one of ${Object.keys(DIGEST_ALGORITHMS).join(', ')}.`);
+    }
+
+    if (!KEY_ALGORITHMS[keyType]) {
+        throw new Error(`Unsupported key type: ${keyType}. Only RSA and EC keys can sign packages.`);
+    }
+
+    const name = options.signatureAlgorithm || `${KEY_ALGORITHMS[keyType]}-${digest}`;
+    const signature = SIGNATURE_ALGORITHMS[name];
+    if (!signature) {
+        throw new Error(`Invalid signature algorithm: ${name}. Must be one of ${Object.keys(SIGNATURE_ALGORITHMS).join(', ')}.`);
+    }
+    if (signature.keyType !== keyType) {
+        throw new Error(`The ${name} signature algorithm needs ${signature.keyType === 'ec' ? 'an EC' : 'an RSA'} key, but the certificate has ${keyType === 'ec' ? 'an EC' : 'an RSA'} key`);
+    }
+
+    return { digest, signature: { name, ...signature } };
+}
+
+/**
+ * Finds a digest algorithm by its XMLDSig URI.
+ * @param {string} uri
+ * @returns {string|null} Such as "sha512"
+ */
+
+function digestFromUri(uri) {
+    return Object.keys(DIGEST_ALGORITHMS).find(name => DIGEST_ALGORITHMS[name] === uri) || null;
+}
+
+/**
+ * Finds a signature algorithm by its XMLDSig URI.
+ * @param {string} uri
+ * @returns {SignatureAlgorithm|null}
+ */
+
+function signatureFromUri(uri) {
+    const name = Object.keys(SIGNATURE_ALGORITHMS).find(name => SIGNATURE_ALGORITHMS[name].uri === uri);
+    return name ? { name, ...SIGNATURE_ALGORITHMS[name] } : null;
+}
+
+module.exports = {
+    DIGEST_ALGORITHMS,
+    SIGNATURE_ALGORITHMS,
+    resolveAlgorithms,
+    digestFromUri,
+    signatureFromUri
+};
@@ -0,0 +1,91 @@
+const { createHash } = require('crypto');
+const { readFileSync, writeFileSync, readdirSync, statSync, existsSync } = require('fs');
+const { join, relative } = require('path');
+const { homedir } = require('os');
+
+const CHECKSUM_FILE = 'checksums.json';
+
+/**
+ * Gets the directory the Tizen and Samsung certificates are cached in.
+ * @param {string} [certDir] - Overrides TIZENJS_CERT_DIR and the default ~/share
+ * @returns {string}
+ */
+
+function getCertificateRoot(certDir) {
+    return certDir || process.env.TIZENJS_CERT_DIR || join(homedir(), 'share');
+}
+
+function listFiles(directory) {
+    const files = [];
+    for (const file of readdirSync(directory)) {
+        const filePath = join(directory, file);
+        if (statSync(filePath).isDirectory()) {
+            files.push(...listFiles(filePath));
+        } else if (file !== CHECKSUM_FILE) {
+            files.push(filePath);
+        }
+    }
+    return files;
+}
+
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Records the SHA-256 of every extracted certificate, so later runs can tell if they were changed.
+ * @param {string} directory
+ */
+
+function writeChecksums(directory) {
+    const checksums = {};
+    for (const file of listFiles(directory)) {
+        checksums[relative(directory, file).split('\\').join('/')] = sha256(readFileSync(file));
+    }
+    writeFileSync(join(directory, CHECKSUM_FILE), JSON.stringify(checksums, null, 2));
+}
+
+/**
+ * Checks the certificates against the checksums recorded when they were extracted.
+ * Directories extracted before checksums were recorded are accepted as they are.
+ * @param {string} directory
+ */
+
+function verifyChecksums(directory) {
+    const checksumFile = join(directory, CHECKSUM_FILE);
+    if (!existsSync(checksumFile)) return;
+
+    const checksums = JSON.parse(readFileSync(checksumFile, 'utf-8'));
+    for (const [file, checksum] of Object.entries(checksums)) {
+        const filePath = join(directory, file);
+        if (!existsSync(filePath) || sha256(readFileSync(filePath)) !== checksum) {
+            throw new Error(`Certificate ${filePath} is missing or was modified. Remove ${directory} and import the certificates again.`);
+        }
+    }
+}
+
+/**
+ * Checks the SHA-256 of an archive before anything is extracted from it. The checksums recorded after extracting
+ * only tell if the certificates changed later, so a wrong archive has to be caught here.
+ * @param {Buffer} buffer
+ * @param {string} expected - Hex encoded SHA-256, such as the one published next to the download
+ */
+
+function checkArchiveChecksum(buffer, expected) {
+    if (!expected) {
+        throw new Error(`Pass the expected SHA-256 of the archive (--sha256) to import from it. Its SHA-256 is ${sha256(buffer)}, compare it with the one published for the download`);
+    }
+
+    const actual = sha256(buffer);
+    if (actual !== expected.trim().toLowerCase()) {
+        throw new Error(`Checksum mismatch: expected ${expected}, got ${actual}`);
+    }
+}
+
+module.exports = {
+    getCertificateRoot,
+    listFiles,
+    writeChecksums,
+    verifyChecksums,
+    checkArchiveChecksum
+};
@@ -0,0 +1,278 @@
+const forge = require('node-forge');
+const { X509Certificate } = require('crypto');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Stands in for keys forge can't read while a certificate is parsed, see certificateFromAsn1().
+const PLACEHOLDER_KEY = forge.pki.publicKeyToAsn1(forge.pki.setRsaPublicKey(
+    new forge.jsbn.BigInteger('3', 10),
+    new forge.jsbn.BigInteger('65537', 10)
+));
+
+/**
+ * @typedef {Object} CertificateDescription
+ * @property {string} subject - Distinguished name of the subject
+ * @property {string} issuer - Distinguished name of the issuer
+ * @property {string} serialNumber - Hex encoded serial number
+ * @property {Date} notBefore - Start of the validity window
+ * @property {Date} notAfter - End of the validity window
+ * @property {string} keyType - "rsa" or "ec"
+ * @property {number} keySize - Size of the RSA key, or of the EC curve, in bits
+ * @property {Array<string>} deviceIds - DUIDs from the subjectAltName, for Samsung distributor certificates
+ */
+
+/**
+ * @typedef {Object} CertificateFileInfo
+ * @property {string} type - "pkcs12" or "device-profile"
+ * @property {Array<CertificateDescription>} certificates - The certificates, signer first
+ * @property {string} privilegeLevel - "public", "partner" or "platform", taken from the intermediate CA
+ * @property {Array<string>} deviceIds - Every DUID the file covers
+ */
+
+/**
+ * Formats the attributes of a subject or issuer as a distinguished name.
+ * @param {Object} name - The subject or issuer of a forge certificate
+ * @returns {string}
+ */
+
+function formatName(name) {
+    return name.attributes
+        .map(attr => `${attr.shortName || attr.name || attr.type}=${attr.value}`)
+        .join(', ');
+}
+
+/**
+ * Describes a certificate.
+ * @param {forge.pki.Certificate} cert
+ * @returns {CertificateDescription}
+ */
+
+function describeCertificate(cert) {
+    return {
+        subject: formatName(cert.subject),
+        issuer: formatName(cert.issuer),
+        serialNumber: cert.serialNumber,
+        notBefore: cert.validity.notBefore,
+        notAfter: cert.validity.notAfter,
+        keyType: getKeyType(cert),
+        keySize: getKeySize(cert),
+        deviceIds: getDeviceIds(cert)
+    };
+}
+
+/**
+ * Parses a DER certificate with forge. forge only reads RSA keys, so certificates with other keys, such as
+ * ECDSA ones, are parsed with a placeholder key that's swapped back afterwards. Their DER stays the same, and
+ * their publicKey is a crypto KeyObject instead of a forge key.
+ * @param {Object} asn1 - forge ASN.1 of the certificate
+ * @returns {forge.pki.Certificate}
+ */
+
+function certificateFromAsn1(asn1) {
+    try {
+        return forge.pki.certificateFromAsn1(asn1);
+    } catch (e) {
+        if (!/OID is not RSA/.test(e.message)) throw e;
+    }
+
+    const tbsCertificate = asn1.value[0];
+    // subjectPublicKeyInfo comes after the optional [0] version, serial, signature, issuer, validity and subject.
+    const index = tbsCertificate.value[0].tagClass === forge.asn1.Class.CONTEXT_SPECIFIC ? 6 : 5;
+    const publicKeyInfo = tbsCertificate.value[index];
+
+    tbsCertificate.value[index] = PLACEHOLDER_KEY;
+    let cert;
+    try {
+        cert = forge.pki.certificateFromAsn1(asn1);
+    } finally {
+        tbsCertificate.value[index] = publicKeyInfo;
+    }
+
+    // forge would write the signature algorithm back with NULL parameters, so the original DER is kept.
+    cert.der = Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary');
+    cert.tbsCertificate = tbsCertificate;
+    cert.publicKey = toX509(cert).publicKey;
+    return cert;
+}
+
+/**
+ * Encodes a certificate as DER.
+ * @param {forge.pki.Certificate} cert
+ * @returns {Buffer}
+ */
+
+function certificateToDer(cert) {
+    return cert.der || Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes(), 'binary');
+}
+
+/**
+ * Converts a forge certificate to a crypto X509Certificate, which handles any key type.
+ * @param {forge.pki.Certificate} cert
+ * @returns {import('crypto').X509Certificate}
+ */
+
+function toX509(cert) {
+    return new X509Certificate(certificateToDer(cert));
+}
+
+/**
+ * Gets the type of the key of a certificate.
+ * @param {forge.pki.Certificate} cert
+ * @returns {string} "rsa", "ec" or another crypto key type
+ */
+
+function getKeyType(cert) {
+    return toX509(cert).publicKey.asymmetricKeyType;
+}
+
+function getKeySize(cert) {
+    const details = toX509(cert).publicKey.asymmetricKeyDetails || {};
+    if (details.modulusLength) return details.modulusLength;
+    const curveSizes = { prime256v1: 256, secp384r1: 384, secp521r1: 521 };
+    return curveSizes[details.namedCurve] || null;
+}
+
+/**
+ * Decodes a PKCS#12 file.
+ * @param {Buffer|string} data - Contents of the .p12, as a Buffer or a binary string
+ * @param {string} password
+ * @returns {forge.pkcs12.Pkcs12Pfx}
+ */
+
+function loadPkcs12(data, password) {
+    const der = forge.asn1.fromDer(forge.util.createBuffer(Buffer.isBuffer(data) ? data.toString('binary') : data));
+    return forge.pkcs12.pkcs12FromAsn1(der, false, password);
+}
+
+/**
+ * Gets the certificates of a PKCS#12 file, in the order they're stored. The signer comes first.
+ * @param {forge.pkcs12.Pkcs12Pfx} pfx
+ * @returns {Array<forge.pki.Certificate>}
+ */
+
+function getCertificates(pfx) {
+    const certificates = [];
+    for (const safeContents of pfx.safeContents) {
+        for (const bag of safeContents.safeBags) {
+            if (bag.type !== forge.pki.oids.certBag) continue;
+            // forge leaves certificates with keys it can't read as ASN.1
+            if (bag.cert || bag.asn1) certificates.push(bag.cert || certificateFromAsn1(bag.asn1));
+        }
+    }
+    return certificates;
+}
+
+/**
+ * Gets the DUIDs a Samsung distributor certificate is valid for.
+ * @param {forge.pki.Certificate} cert
+ * @returns {Array<string>}
+ */
+
+function getDeviceIds(cert) {
+    const extension = cert.getExtension('subjectAltName');
+    if (!extension) return [];
+
+    return extension.altNames
+        .map(altName => altName.value)
+        .filter(value => typeof value === 'string' && value.startsWith('URN:tizen:deviceid='))
+        .map(value => value.slice('URN:tizen:deviceid='.length));
+}
+
+/**
+ * Gets the SHA-256 fingerprint of a certificate.
+ * @param {forge.pki.Certificate} cert
+ * @returns {string}
+ */
+
+function getFingerprint(cert) {
+    return forge.md.sha256.create().update(certificateToDer(cert).toString('binary')).digest().toHex();
+}
+
+/**
+ * Gets the privilege level of a distributor chain from the name of its intermediate CA,
+ * such as "Tizen Partner Distributor CA" or "vd_tizen_dev_public2".
+ * @param {Array<forge.pki.Certificate>} chain - Signer first
+ * @returns {string|null}
+ */
+
+function getPrivilegeLevel(chain) {
+    for (const cert of chain.slice(1)) {
+        const name = formatName(cert.subject);
+        for (const level of ['platform', 'partner', 'public']) {
+            if (new RegExp(level, 'i').test(name)) return level;
+        }
+    }
+    return null;
+}
+
+// Device profiles list the DUIDs as text and may carry the distributor certificate.
+function inspectDeviceProfile(xml) {
+    const document = new DOMParser().parseFromString(xml, 'text/xml');
+    if (!document.documentElement) throw new Error('Invalid device profile');
+
+    const deviceIds = new Set();
+    const certificates = [];
+
+    (function visit(node) {
+        if (node.nodeType === 1) {
+            const text = node.childNodes.length === 1 && node.firstChild.nodeType === 3 ? node.textContent.trim() : '';
+            if (/^(duid|deviceid|device-id)$/i.test(node.localName) && text) {
+                deviceIds.add(text);
+            } else if (node.localName === 'X509Certificate' && text) {
+                certificates.push(certificateFromAsn1(forge.asn1.fromDer(forge.util.decode64(text.replace(/\s+/g, '')))));
+            }
+            for (const attr of Array.from(node.attributes)) {
+                if (/^(duid|deviceid|device-id)$/i.test(attr.localName)) deviceIds.add(attr.value);
+            }
+        } else if (node.nodeType === 3) {
+            for (const match of node.data.matchAll(/URN:tizen:deviceid=([^\s<,]+)/g)) deviceIds.add(match[1]);
+        }
+        Array.from(node.childNodes || []).forEach(visit);
+    })(document.documentElement);
+
+    certificates.forEach(cert => getDeviceIds(cert).forEach(deviceId => deviceIds.add(deviceId)));
+
+    return {
+        type: 'device-profile',
+        certificates: certificates.map(describeCertificate),
+        privilegeLevel: getPrivilegeLevel(certificates),
+        deviceIds: [...deviceIds]
+    };
+}
+
+/**
+ * Describes a .p12 or a device-profile.xml.
+ * @param {Buffer} data - Contents of the file
+ * @param {string} [password] - Password of the .p12
+ * @returns {CertificateFileInfo}
+ */
+
+function inspectCertificate(data, password) {
+    if (data.toString('utf-8', 0, 64).trimStart().startsWith('<')) {
+        return inspectDeviceProfile(data.toString('utf-8'));
+    }
+
+    const chain = getCertificates(loadPkcs12(data, password || ''));
+    const deviceIds = new Set(chain.flatMap(getDeviceIds));
+
+    return {
+        type: 'pkcs12',
+        certificates: chain.map(describeCertificate),
+        privilegeLevel: getPrivilegeLevel(chain),
+        deviceIds: [...deviceIds]
+    };
+}
+
+module.exports = {
+    formatName,
+    describeCertificate,
+    loadPkcs12,
+    getCertificates,
+    getDeviceIds,
+    getFingerprint,
+    getPrivilegeLevel,
+    certificateFromAsn1,
+    certificateToDer,
+    toX509,
+    getKeyType,
+    inspectCertificate
+};
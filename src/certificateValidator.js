@@ -0,0 +1,198 @@
+const forge = require('node-forge');
+const { readFileSync, existsSync } = require('fs');
+const { join, relative } = require('path');
+const { getCertificateRoot, listFiles } = require('./certificateDirectory.js');
+const { formatName, getFingerprint, getPrivilegeLevel, certificateFromAsn1, toX509 } = require('./certificateInfo.js');
+const { createSigner } = require('./signer.js');
+
+const LEVELS = ['public', 'partner', 'platform'];
+
+// Privileges the Tizen privilege lists give a partner or platform level. A package asking for them under a
+// lower distributor certificate fails to install, so they fail the check. Anything not listed is public.
+const PRIVILEGE_LEVELS = {
+    'http://tizen.org/privilege/appmanager.certificate': 'partner',
+    'http://tizen.org/privilege/appmanager.kill': 'partner',
+    'http://tizen.org/privilege/packagemanager.install': 'platform',
+    'http://tizen.org/privilege/packagemanager.admin': 'platform',
+    'http://tizen.org/privilege/reboot': 'platform'
+};
+
+// Levels that depend on the profile or the Tizen version, or that Samsung doesn't publish. These only warn.
+const UNCERTAIN_PRIVILEGE_LEVELS = {
+    'http://tizen.org/privilege/bluetoothmanager': 'partner',
+    'http://tizen.org/privilege/systemmanager': 'partner',
+    'http://tizen.org/privilege/telephony.admin': 'partner',
+    'http://tizen.org/privilege/keymanager.admin': 'platform',
+    'http://developer.samsung.com/privilege/contentsdownload': 'partner',
+    'http://developer.samsung.com/privilege/drminfo': 'partner',
+    'http://developer.samsung.com/privilege/sso.partner': 'partner'
+};
+
+/**
+ * @typedef {Object} CertificateValidation
+ * @property {Array<string>} errors - Problems that would make the package fail to install
+ * @property {Array<string>} warnings - Problems that don't stop the package from installing yet
+ * @property {string} privilegeLevel - Privilege level of the distributor certificate, if it could be told
+ */
+
+/**
+ * Gets the privilege level a privilege needs.
+ * @param {string} privilege
+ * @param {Object} [options]
+ * @param {boolean} [options.uncertain] - Also use the levels that aren't published for every profile
+ * @returns {string} "public", "partner" or "platform"
+ */
+
+function getRequiredLevel(privilege, options = {}) {
+    if (PRIVILEGE_LEVELS[privilege]) return PRIVILEGE_LEVELS[privilege];
+    if (/\/privilege\/internal\//.test(privilege)) return 'platform';
+    if (options.uncertain && UNCERTAIN_PRIVILEGE_LEVELS[privilege]) return UNCERTAIN_PRIVILEGE_LEVELS[privilege];
+    return 'public';
+}
+
+function readCertificate(filePath) {
+    const data = readFileSync(filePath);
+    const text = data.toString('binary');
+    const der = text.includes('-----BEGIN CERTIFICATE-----') ? forge.pem.decode(text)[0].body : text;
+    return certificateFromAsn1(forge.asn1.fromDer(forge.util.createBuffer(der)));
+}
+
+/**
+ * Loads the CA certificates cached by TizenCertificateCreator and SamsungCertificateCreator.
+ * @param {string} [certDir] - Overrides TIZENJS_CERT_DIR and the default ~/share
+ * @returns {Array<{ file: string, certificate: forge.pki.Certificate }>}
+ */
+
+function loadKnownCertificates(certDir) {
+    const root = getCertificateRoot(certDir);
+    const known = [];
+
+    for (const directory of ['.tizen-cert', '.samsung-cert'].map(name => join(root, name))) {
+        if (!existsSync(directory)) continue;
+
+        for (const file of listFiles(directory)) {
+            if (!file.endsWith('.cer') && !file.endsWith('.crt')) continue;
+            try {
+                known.push({ file: relative(root, file).split('\\').join('/'), certificate: readCertificate(file) });
+            } catch (e) {
+                // Not every cached file is a certificate
+            }
+        }
+    }
+
+    return known;
+}
+
+// Checked with crypto, as forge can only verify RSA signatures.
+function isIssuedBy(cert, issuer) {
+    try {
+        const x509 = toX509(cert);
+        const issuerX509 = toX509(issuer);
+        return x509.checkIssued(issuerX509) && x509.verify(issuerX509.publicKey);
+    } catch (e) {
+        return false;
+    }
+}
+
+function checkChain(label, chain, known, now, warnDays, result) {
+    if (!chain.length) {
+        result.errors.push(`${label} certificate has no certificates`);
+        return null;
+    }
+
+    for (const cert of chain) {
+        const name = formatName(cert.subject);
+        if (cert.validity.notAfter < now) {
+            result.errors.push(`${label} certificate ${name} expired on ${cert.validity.notAfter.toISOString()}`);
+        } else if (cert.validity.notBefore > now) {
+            result.errors.push(`${label} certificate ${name} is not valid until ${cert.validity.notBefore.toISOString()}`);
+        } else if (cert.validity.notAfter - now < warnDays * 24 * 60 * 60 * 1000) {
+            result.warnings.push(`${label} certificate ${name} expires on ${cert.validity.notAfter.toISOString()}`);
+        }
+    }
+
+    for (let i = 0; i < chain.length - 1; i++) {
+        if (!isIssuedBy(chain[i], chain[i + 1])) {
+            result.errors.push(`${label} certificate chain is out of order: ${formatName(chain[i].subject)} is not issued by ${formatName(chain[i + 1].subject)}`);
+            return null;
+        }
+    }
+
+    // Without cached certificates there's nothing to anchor the chain to, validateCertificates() warns about it once.
+    if (!known.length) return null;
+
+    const fingerprints = chain.map(getFingerprint);
+    const last = chain[chain.length - 1];
+    const anchor = known.find(({ certificate }) => fingerprints.includes(getFingerprint(certificate)) || isIssuedBy(last, certificate));
+
+    if (!anchor) {
+        result.errors.push(`${label} certificate ${formatName(chain[0].subject)} does not lead to a known Tizen or Samsung root`);
+        return null;
+    }
+
+    return anchor;
+}
+
+/**
+ * Checks the author and distributor certificates before a package is signed with them.
+ * Both chains have to lead to a certificate in the cached Tizen or Samsung certificate directories,
+ * and the first distributor has to be allowed to grant the privileges of the package. With nothing cached
+ * the chains aren't anchored, which is only a warning; the dates, order and privileges are still checked.
+ * @param {Object} options
+ * @param {import('./signer.js').SigningKey} [options.author] - Left out when a package keeps its author signature
+ * @param {import('./signer.js').SigningKey|Array<import('./signer.js').SigningKey>} [options.distributor] - One key, or one for every distributor signature
+ * @param {Array<string>} [options.privileges] - Privileges from config.xml or tizen-manifest.xml
+ * @param {string} [options.certDir] - Directory the certificates are cached in
+ * @param {number} [options.warnDays=30] - Warn about certificates that expire within this many days
+ * @param {Date} [options.now]
+ * @returns {CertificateValidation}
+ */
+
+function validateCertificates(options) {
+    const known = loadKnownCertificates(options.certDir);
+    const now = options.now || new Date();
+    const warnDays = options.warnDays === undefined ? 30 : options.warnDays;
+    const result = { errors: [], warnings: [], privilegeLevel: null };
+
+    if (!known.length) {
+        result.warnings.push(`No cached Tizen or Samsung certificates in ${getCertificateRoot(options.certDir)}, the chains were not checked against a known root. Import them with "certs import"`);
+    }
+
+    if (options.author) checkChain('Author', createSigner(options.author).certificates, known, now, warnDays, result);
+
+    const distributors = [].concat(options.distributor || []);
+    if (!distributors.length) return result;
+
+    const chains = distributors.map(distributor => createSigner(distributor).certificates);
+    const anchors = chains.map((chain, index) =>
+        checkChain(distributors.length > 1 ? `Distributor ${index + 1}` : 'Distributor', chain, known, now, warnDays, result));
+
+    // The privilege level comes from the first distributor signature, signature1.xml.
+    const distributorChain = chains[0];
+    const anchor = anchors[0];
+    result.privilegeLevel = getPrivilegeLevel(distributorChain) ||
+        (anchor && LEVELS.find(level => anchor.file.includes(level))) || null;
+
+    if (!result.privilegeLevel) {
+        result.warnings.push('Could not tell the privilege level of the distributor certificate, privileges were not checked');
+        return result;
+    }
+
+    for (const privilege of options.privileges || []) {
+        const required = getRequiredLevel(privilege);
+        const likely = getRequiredLevel(privilege, { uncertain: true });
+        if (LEVELS.indexOf(required) > LEVELS.indexOf(result.privilegeLevel)) {
+            result.errors.push(`Privilege ${privilege} needs a ${required} distributor certificate, but the distributor certificate is ${result.privilegeLevel}`);
+        } else if (LEVELS.indexOf(likely) > LEVELS.indexOf(result.privilegeLevel)) {
+            result.warnings.push(`Privilege ${privilege} may need a ${likely} distributor certificate, but the distributor certificate is ${result.privilegeLevel}`);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    validateCertificates,
+    loadKnownCertificates,
+    getRequiredLevel
+};
@@ -0,0 +1,19 @@
+const { join } = require('path');
+const { homedir } = require('os');
+const { mkdirSync } = require('fs');
+
+/**
+ * Gets the directory tizen.js keeps its own settings in, creating it if needed.
+ * @param {string} [configDir] - Overrides TIZENJS_CONFIG_DIR and the default ~/.tizenjs
+ * @returns {string}
+ */
+
+function getConfigDirectory(configDir) {
+    const directory = configDir || process.env.TIZENJS_CONFIG_DIR || join(homedir(), '.tizenjs');
+    mkdirSync(directory, { recursive: true, mode: 0o700 });
+    return directory;
+}
+
+module.exports = {
+    getConfigDirectory
+};
@@ -0,0 +1,124 @@
+const { randomBytes, scryptSync, createCipheriv, createDecipheriv } = require('crypto');
+const { readFileSync, writeFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const { getConfigDirectory } = require('./config.js');
+
+const CHECK_VALUE = 'tizenjs';
+
+function encrypt(key, value) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(value, 'utf-8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(key, entry) {
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf-8');
+}
+
+/**
+ * Certificate passwords encrypted with AES-256-GCM, using a key derived from a master password with scrypt.
+ * Stored in credentials.json in the tizen.js config directory.
+ */
+
+class CredentialStore {
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.configDir] - Defaults to TIZENJS_CONFIG_DIR or ~/.tizenjs
+     */
+    constructor(options = {}) {
+        this.configDir = options.configDir;
+        this.key = null;
+    }
+
+    get path() {
+        return join(getConfigDirectory(this.configDir), 'credentials.json');
+    }
+
+    _read() {
+        if (!existsSync(this.path)) return null;
+        return JSON.parse(readFileSync(this.path, 'utf-8'));
+    }
+
+    _write(data) {
+        writeFileSync(this.path, JSON.stringify(data, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * Unlocks the store, creating it with this master password if it doesn't exist yet.
+     * @param {string} masterPassword
+     */
+
+    unlock(masterPassword) {
+        let data = this._read();
+
+        if (!data) {
+            const salt = randomBytes(16);
+            const key = scryptSync(masterPassword, salt, 32);
+            data = { salt: salt.toString('base64'), check: encrypt(key, CHECK_VALUE), entries: {} };
+            this._write(data);
+        }
+
+        const key = scryptSync(masterPassword, Buffer.from(data.salt, 'base64'), 32);
+        try {
+            decrypt(key, data.check);
+        } catch (error) {
+            throw new Error('Wrong master password');
+        }
+        this.key = key;
+    }
+
+    _requireKey() {
+        if (!this.key) throw new Error('The credential store is locked, call unlock() first');
+    }
+
+    /**
+     * Names of the stored passwords. Doesn't need the store to be unlocked.
+     * @returns {Array<string>}
+     */
+
+    list() {
+        const data = this._read();
+        return data ? Object.keys(data.entries) : [];
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+
+    get(name) {
+        this._requireKey();
+        const data = this._read();
+        if (!data || !data.entries[name]) throw new Error(`No password named ${name} in the credential store`);
+        return decrypt(this.key, data.entries[name]);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} password
+     */
+
+    set(name, password) {
+        this._requireKey();
+        const data = this._read();
+        data.entries[name] = encrypt(this.key, password);
+        this._write(data);
+    }
+
+    /**
+     * @param {string} name
+     */
+
+    remove(name) {
+        const data = this._read();
+        if (!data || !data.entries[name]) throw new Error(`No password named ${name} in the credential store`);
+        delete data.entries[name];
+        this._write(data);
+    }
+}
+
+module.exports = CredentialStore;
@@ -0,0 +1,72 @@
+/**
+ * Remembers the digests of files read from the disk, so rebuilds only hash what changed.
+ * Entries are keyed by path, modification time, size and algorithm.
+ */
+
+class DigestCache {
+
+    constructor() {
+        this.entries = new Map();
+        this.used = new Set();
+        this.computed = new Set();
+    }
+
+    /**
+     * Number of files whose digests were calculated since the last prune.
+     * @type {number}
+     */
+    get misses() {
+        return this.computed.size;
+    }
+
+    /**
+     * Number of files whose cached digests were reused since the last prune.
+     * A file signed by both the author and the distributor counts once.
+     * @type {number}
+     */
+    get hits() {
+        return this.used.size - this.computed.size;
+    }
+
+    // Only files streamed from the disk carry a path and modification time.
+    _key(file, algorithm) {
+        if (!file.path || file.mtimeMs === undefined) return null;
+        return `${file.path}\0${file.mtimeMs}\0${file.size}\0${algorithm}`;
+    }
+
+    /**
+     * Gets the digest of a file, computing it if it isn't cached.
+     * @param {import('./packageSigner.js').File} file
+     * @param {string} algorithm - Such as "sha512"
+     * @param {function(): Promise<string>} compute - Computes the base64 digest
+     * @returns {Promise<string>}
+     */
+
+    async get(file, algorithm, compute) {
+        const key = this._key(file, algorithm);
+        if (!key) return compute();
+
+        this.used.add(key);
+        if (this.entries.has(key)) return this.entries.get(key);
+
+        this.computed.add(key);
+        const digest = await compute();
+        this.entries.set(key, digest);
+        return digest;
+    }
+
+    /**
+     * Drops the entries that weren't used since the last prune, such as old versions of changed files,
+     * and resets the hit and miss counts.
+     */
+
+    prune() {
+        for (const key of this.entries.keys()) {
+            if (!this.used.has(key)) this.entries.delete(key);
+        }
+        this.used.clear();
+        this.computed.clear();
+    }
+}
+
+module.exports = DigestCache;
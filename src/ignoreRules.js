@@ -0,0 +1,194 @@
+const { readFileSync, existsSync } = require('fs');
+const { join } = require('path');
+
+const IGNORE_FILE = '.tizenignore';
+
+// Left out of every package unless a later rule brings them back, like "!node_modules".
+const DEFAULT_PATTERNS = [
+    '.git',
+    'node_modules',
+    '.DS_Store',
+    IGNORE_FILE,
+    '*.wgt',
+    '*.tpk',
+    '/author-signature.xml',
+    '/signature[0-9]*.xml'
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Translates the glob part of a gitignore pattern to a regular expression.
+function globToRegExp(glob) {
+    let source = '';
+    let i = 0;
+
+    while (i < glob.length) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            const atStart = i === 0 || glob[i - 1] === '/';
+            const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+            if (atStart && atEnd) {
+                if (i + 2 === glob.length) {
+                    // "foo/**" matches everything inside foo.
+                    source += '.*';
+                    i += 2;
+                } else {
+                    // "**/foo" and "a/**/b" match any number of directories, including none.
+                    source += '(?:.*/)?';
+                    i += 3;
+                }
+                continue;
+            }
+            source += '[^/]*';
+            i += 2;
+        } else if (char === '*') {
+            source += '[^/]*';
+            i++;
+        } else if (char === '?') {
+            source += '[^/]';
+            i++;
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                i++;
+                continue;
+            }
+            let range = glob.slice(i + 1, end);
+            if (range.startsWith('!')) range = `^${range.slice(1)}`;
+            source += `[${range.replace(/\\/g, '\\\\')}]`;
+            i = end + 1;
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[i + 1]);
+            i += 2;
+        } else {
+            source += escapeRegExp(char);
+            i++;
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Parses one line of a gitignore file.
+ * @param {string} line
+ * @returns {{ pattern: string, negate: boolean, directoryOnly: boolean, regex: RegExp }|null} null for blank lines and comments
+ */
+
+function parsePattern(line) {
+    // Trailing spaces don't count unless they're escaped.
+    let pattern = line.replace(/\r$/, '').replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) pattern = pattern.slice(0, -1);
+    if (!pattern) return null;
+
+    // A slash anywhere but the end anchors the pattern to the root, otherwise it matches at any depth.
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+
+    const source = globToRegExp(pattern);
+    return {
+        pattern: line,
+        negate,
+        directoryOnly,
+        regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+    };
+}
+
+/**
+ * Rules in the format of .gitignore, matched against paths relative to the project root.
+ * Later rules override earlier ones, and "!pattern" brings back what an earlier rule excluded.
+ */
+
+class IgnoreRules {
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.defaults=true] - Start with the built-in rules for .git, node_modules, .DS_Store, old packages and signature files
+     */
+    constructor(options = {}) {
+        this.rules = [];
+        if (options.defaults !== false) this.add(DEFAULT_PATTERNS);
+    }
+
+    /**
+     * Reads the .tizenignore of a project, and an extra ignore file if one is given.
+     * @param {string} [directory] - The project root
+     * @param {Object} [options]
+     * @param {string} [options.ignoreFile] - Path to another file with rules, applied after .tizenignore
+     * @param {boolean} [options.defaults=true]
+     * @returns {IgnoreRules}
+     */
+
+    static fromProject(directory, options = {}) {
+        const rules = new IgnoreRules(options);
+        if (directory && existsSync(join(directory, IGNORE_FILE))) {
+            rules.add(readFileSync(join(directory, IGNORE_FILE), 'utf-8'));
+        }
+        if (options.ignoreFile) {
+            rules.add(readFileSync(options.ignoreFile, 'utf-8'));
+        }
+        return rules;
+    }
+
+    /**
+     * @param {string|Array<string>} patterns - The contents of an ignore file, or its lines
+     * @returns {IgnoreRules}
+     */
+
+    add(patterns) {
+        const lines = Array.isArray(patterns) ? patterns : patterns.split('\n');
+        for (const line of lines) {
+            const rule = parsePattern(line);
+            if (rule) this.rules.push(rule);
+        }
+        return this;
+    }
+
+    /**
+     * Checks a single path. Doesn't look at its parent directories, see isIgnored() for that.
+     * @param {string} path - Relative path, separated with "/"
+     * @param {boolean} [isDirectory]
+     * @returns {boolean}
+     */
+
+    ignores(path, isDirectory = false) {
+        let ignored = false;
+        for (const rule of this.rules) {
+            if (rule.directoryOnly && !isDirectory) continue;
+            if (rule.regex.test(path)) ignored = !rule.negate;
+        }
+        return ignored;
+    }
+
+    /**
+     * Checks a file path along with every directory above it. Like git, a file can't be brought back
+     * if one of its directories is excluded.
+     * @param {string} path - Relative path, separated with "/"
+     * @returns {boolean}
+     */
+
+    isIgnored(path) {
+        const parts = path.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            if (this.ignores(parts.slice(0, i).join('/'), true)) return true;
+        }
+        return this.ignores(path, false);
+    }
+}
+
+module.exports = IgnoreRules;
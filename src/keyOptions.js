@@ -0,0 +1,86 @@
+const forge = require('node-forge');
+const { randomBytes } = require('crypto');
+
+const MIN_KEY_SIZE = 2048;
+const DEFAULT_KEY_SIZE = 2048;
+const DEFAULT_VALIDITY_DAYS = 365;
+const DIGESTS = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * @typedef {Object} KeyOptions
+ * @property {number} keySize - RSA key size in bits
+ * @property {string} digest - "sha256", "sha384" or "sha512"
+ * @property {number} validityDays - Days the certificate is valid for
+ * @property {string} serialNumber - Hex serial number of the certificate
+ */
+
+/**
+ * Generates a positive 128-bit serial number, as RFC 5280 asks for unpredictable serials.
+ * @returns {string} Hex serial number
+ */
+
+function generateSerialNumber() {
+    const bytes = randomBytes(16);
+    // The serial is a DER integer, so keeping the top bit clear keeps it positive.
+    bytes[0] &= 0x7f;
+    if (bytes[0] === 0) bytes[0] = 0x01;
+    return bytes.toString('hex');
+}
+
+/**
+ * Reads and checks the key options of AuthorInfo, filling in the defaults.
+ * @param {Object} [options]
+ * @param {number|string} [options.keySize=2048]
+ * @param {string} [options.digest="sha512"]
+ * @param {number|string} [options.validityDays=365]
+ * @param {string} [options.serialNumber] - Random if it's not given
+ * @returns {KeyOptions}
+ */
+
+function getKeyOptions(options = {}) {
+    const keySize = options.keySize === undefined ? DEFAULT_KEY_SIZE : Number(options.keySize);
+    if (!Number.isInteger(keySize) || keySize < MIN_KEY_SIZE || keySize > 16384) {
+        throw new Error(`Invalid key size: ${options.keySize}. Must be at least ${MIN_KEY_SIZE} bits.`);
+    }
+
+    const digest = (options.digest || 'sha512').toLowerCase().replace('-', '');
+    if (!DIGESTS.includes(digest)) {
+        throw new Error(`Invalid digest: ${options.digest}. Must be one of ${DIGESTS.join(', ')}.`);
+    }
+
+    const validityDays = options.validityDays === undefined ? DEFAULT_VALIDITY_DAYS : Number(options.validityDays);
+    if (!Number.isInteger(validityDays) || validityDays < 1) {
+        throw new Error(`Invalid validity: ${options.validityDays}. Must be a whole number of days.`);
+    }
+
+    let serialNumber = options.serialNumber;
+    if (serialNumber === undefined) {
+        serialNumber = generateSerialNumber();
+    } else {
+        serialNumber = String(serialNumber).replace(/^0x/i, '').toLowerCase();
+        if (serialNumber.length % 2) serialNumber = `0${serialNumber}`;
+        // A leading byte of 0x80 or more would be read as a negative number.
+        if (/^[89a-f]/.test(serialNumber)) serialNumber = `00${serialNumber}`;
+        if (!/^[0-9a-f]{2,40}$/.test(serialNumber) || /^0+$/.test(serialNumber)) {
+            throw new Error(`Invalid serial number: ${options.serialNumber}. Must be a positive hex number of up to 20 bytes.`);
+        }
+    }
+
+    return { keySize, digest, validityDays, serialNumber };
+}
+
+/**
+ * Creates a forge message digest for signing certificates and CSRs.
+ * @param {string} digest - "sha256", "sha384" or "sha512"
+ * @returns {forge.md.MessageDigest}
+ */
+
+function createDigest(digest) {
+    return forge.md[digest].create();
+}
+
+module.exports = {
+    getKeyOptions,
+    generateSerialNumber,
+    createDigest
+};
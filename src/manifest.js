@@ -0,0 +1,307 @@
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { readFileData } = require('./packageReader.js');
+
+const WIDGET_NS = 'http://www.w3.org/ns/widgets';
+const TIZEN_WIDGET_NS = 'http://tizen.org/ns/widgets';
+const TIZEN_PACKAGE_NS = 'http://tizen.org/ns/packages';
+const APPLICATION_TAGS = ['ui-application', 'service-application', 'widget-application', 'watch-application', 'web-application'];
+
+// Widgets need a 10 character alphanumeric package ID, native packages use a reverse domain name.
+const WIDGET_PACKAGE_ID = /^[0-9a-zA-Z]{10}$/;
+const NATIVE_PACKAGE_ID = /^[a-zA-Z][0-9a-zA-Z_]*(\.[a-zA-Z][0-9a-zA-Z_]*)+$/;
+const VERSION = /^\d+\.\d+\.\d+$/;
+
+// Compares dotted versions such as "5.5" and "6.0.1" numerically.
+function compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference) return difference;
+    }
+    return 0;
+}
+
+/**
+ * @typedef {Object} ManifestChanges
+ * @property {string} [packageId] - New package ID
+ * @property {string} [appId] - New application ID. Defaults to the old one moved to the new package ID
+ * @property {string} [version] - New version, in the form of x.y.z
+ * @property {string} [name] - New application name
+ */
+
+/**
+ * Reads config.xml of a widget (.wgt) or tizen-manifest.xml of a Tizen package (.tpk).
+ */
+
+class Manifest {
+
+    /**
+     * @param {string} type - Type of the package, can be "wgt" or "tpk"
+     * @param {Buffer|string} data - Contents of config.xml or tizen-manifest.xml
+     */
+    constructor(type, data) {
+        if (type !== 'wgt' && type !== 'tpk') {
+            throw new Error(`Invalid package type: ${type}. Must be "tpk" or "wgt".`);
+        }
+
+        this.type = type;
+        this.document = new DOMParser().parseFromString(data.toString(), 'text/xml');
+        this.root = this.document.documentElement;
+
+        const expected = type === 'wgt' ? 'widget' : 'manifest';
+        if (!this.root || this.root.localName !== expected) {
+            throw new Error(`Invalid ${Manifest.fileName(type)}: missing <${expected}> element`);
+        }
+    }
+
+    /**
+     * Gets the file name of the manifest for a package type.
+     * @param {string} type - Type of the package, can be "wgt" or "tpk"
+     * @returns {string}
+     */
+
+    static fileName(type) {
+        return type === 'wgt' ? 'config.xml' : 'tizen-manifest.xml';
+    }
+
+    /**
+     * Finds and parses the manifest among the files of a package.
+     * @param {Array<import('./packageSigner.js').File>} files
+     * @returns {Promise<Manifest|null>}
+     */
+
+    static async fromFiles(files) {
+        for (const type of ['wgt', 'tpk']) {
+            const file = files.find(file => decodeURIComponent(file.uri) === Manifest.fileName(type));
+            if (file) return new Manifest(type, await readFileData(file));
+        }
+
+        return null;
+    }
+
+    /**
+     * Applies changes to the manifest of a package, replacing its contents in the file list.
+     * @param {Array<import('./packageSigner.js').File>} files
+     * @param {ManifestChanges} changes
+     * @returns {Promise<Manifest>}
+     */
+
+    static async rewrite(files, changes) {
+        const manifest = await Manifest.fromFiles(files);
+        if (!manifest) {
+            throw new Error('Neither config.xml nor tizen-manifest.xml was found');
+        }
+
+        manifest.update(changes);
+        const index = files.findIndex(file => decodeURIComponent(file.uri) === Manifest.fileName(manifest.type));
+        files[index] = { uri: files[index].uri, data: manifest.toBuffer() };
+        return manifest;
+    }
+
+    get _applications() {
+        if (this.type === 'wgt') {
+            return Array.from(this.root.getElementsByTagNameNS(TIZEN_WIDGET_NS, 'application'));
+        }
+
+        return APPLICATION_TAGS.flatMap(tagName => Array.from(this.root.getElementsByTagNameNS(TIZEN_PACKAGE_NS, tagName)));
+    }
+
+    get _application() {
+        if (this.type === 'wgt') {
+            return this.root.getElementsByTagNameNS(TIZEN_WIDGET_NS, 'application')[0] || null;
+        }
+
+        for (const tagName of APPLICATION_TAGS) {
+            const application = this.root.getElementsByTagNameNS(TIZEN_PACKAGE_NS, tagName)[0];
+            if (application) return application;
+        }
+        return null;
+    }
+
+    get packageId() {
+        if (this.type === 'wgt') {
+            return this._application ? this._application.getAttribute('package') : null;
+        }
+        return this.root.getAttribute('package') || null;
+    }
+
+    set packageId(packageId) {
+        const pattern = this.type === 'wgt' ? WIDGET_PACKAGE_ID : NATIVE_PACKAGE_ID;
+        if (!pattern.test(packageId)) {
+            throw new Error(this.type === 'wgt' ?
+                `Invalid package ID: ${packageId}. Must be exactly 10 alphanumeric characters.` :
+                `Invalid package ID: ${packageId}. Must be in the form of org.example.app.`);
+        }
+
+        const oldPackageId = this.packageId;
+        const idAttribute = this.type === 'wgt' ? 'id' : 'appid';
+
+        if (this.type === 'wgt') {
+            if (!this._application) throw new Error('config.xml has no <tizen:application> element');
+            this._application.setAttribute('package', packageId);
+        } else {
+            this.root.setAttribute('package', packageId);
+        }
+
+        // Application IDs are prefixed with the package ID, move them along.
+        for (const application of this._applications) {
+            const appId = application.getAttribute(idAttribute);
+            if (oldPackageId && appId.startsWith(`${oldPackageId}.`)) {
+                application.setAttribute(idAttribute, packageId + appId.slice(oldPackageId.length));
+            }
+        }
+    }
+
+    get appId() {
+        if (!this._application) return null;
+        return this._application.getAttribute(this.type === 'wgt' ? 'id' : 'appid') || null;
+    }
+
+    set appId(appId) {
+        if (!this._application) throw new Error(`${Manifest.fileName(this.type)} has no application element`);
+
+        if (this.type === 'wgt' && !new RegExp(`^${this.packageId}\\.[0-9a-zA-Z]+$`).test(appId)) {
+            throw new Error(`Invalid app ID: ${appId}. Must be ${this.packageId}. followed by alphanumeric characters.`);
+        } else if (this.type === 'tpk' && !NATIVE_PACKAGE_ID.test(appId)) {
+            throw new Error(`Invalid app ID: ${appId}. Must be in the form of org.example.app.`);
+        }
+
+        this._application.setAttribute(this.type === 'wgt' ? 'id' : 'appid', appId);
+    }
+
+    get version() {
+        return this.root.getAttribute('version') || null;
+    }
+
+    set version(version) {
+        if (!VERSION.test(version)) {
+            throw new Error(`Invalid version: ${version}. Must be in the form of x.y.z.`);
+        }
+
+        this.root.setAttribute('version', version);
+    }
+
+    get requiredVersion() {
+        if (this.type === 'wgt') {
+            return this._application ? this._application.getAttribute('required_version') : null;
+        }
+        return this.root.getAttribute('api-version') || null;
+    }
+
+    get name() {
+        const element = this.type === 'wgt' ?
+            this.root.getElementsByTagNameNS(WIDGET_NS, 'name')[0] :
+            this._application && this._application.getElementsByTagNameNS(TIZEN_PACKAGE_NS, 'label')[0];
+        return element ? element.textContent.trim() : null;
+    }
+
+    set name(name) {
+        const elements = this.type === 'wgt' ?
+            Array.from(this.root.getElementsByTagNameNS(WIDGET_NS, 'name')) :
+            this._applications.flatMap(application => Array.from(application.getElementsByTagNameNS(TIZEN_PACKAGE_NS, 'label')));
+
+        // Localized names are left alone.
+        const defaults = elements.filter(element => !element.getAttribute('xml:lang'));
+        if (!defaults.length) throw new Error(`${Manifest.fileName(this.type)} has no name element`);
+
+        for (const element of defaults) {
+            while (element.firstChild) element.removeChild(element.firstChild);
+            element.appendChild(this.document.createTextNode(name));
+        }
+    }
+
+    /**
+     * @returns {Array<string>}
+     */
+
+    get privileges() {
+        if (this.type === 'wgt') {
+            return Array.from(this.root.getElementsByTagNameNS(TIZEN_WIDGET_NS, 'privilege'))
+                .map(privilege => privilege.getAttribute('name'));
+        }
+
+        return Array.from(this.root.getElementsByTagNameNS(TIZEN_PACKAGE_NS, 'privilege'))
+            .map(privilege => privilege.textContent.trim());
+    }
+
+    /**
+     * Merges the config.xml of a web app bundled under res/wgt of a hybrid package into this tizen-manifest.xml.
+     * Privileges of the web app are added and the API version is raised to what the web app requires.
+     * Both have to have the same package ID, or the web app can't be installed and launched as part of the package.
+     * @param {Manifest} widget - The config.xml of the web app
+     * @returns {Array<string>} Descriptions of what was changed
+     */
+
+    mergeWidget(widget) {
+        if (this.type !== 'tpk' || widget.type !== 'wgt') {
+            throw new Error('Only a config.xml can be merged into a tizen-manifest.xml');
+        }
+
+        if (widget.packageId !== this.packageId) {
+            throw new Error(`The package ID of the web app (${widget.packageId || 'none'}) has to match the one of the ${Manifest.fileName('tpk')} (${this.packageId}) in a hybrid package`);
+        }
+
+        const appIds = this._applications.map(application => application.getAttribute('appid'));
+        if (widget.appId && appIds.includes(widget.appId)) {
+            throw new Error(`The web app and the ${Manifest.fileName('tpk')} both have an application with the ID ${widget.appId}`);
+        }
+
+        const merged = [];
+        const existing = this.privileges;
+        const missing = [...new Set(widget.privileges)].filter(privilege => privilege && !existing.includes(privilege));
+
+        if (missing.length) {
+            let privileges = this.root.getElementsByTagNameNS(TIZEN_PACKAGE_NS, 'privileges')[0];
+            if (!privileges) {
+                privileges = this.document.createElementNS(TIZEN_PACKAGE_NS, 'privileges');
+                this.root.appendChild(privileges);
+            }
+            // Follows the indentation of the privileges that are already there.
+            const last = privileges.lastChild;
+            const closing = last && last.nodeType === 3 && !last.data.trim() ? last : null;
+            const previous = closing && closing.previousSibling && closing.previousSibling.previousSibling;
+            const indent = previous && previous.nodeType === 3 && !previous.data.trim() ? previous.data : '\n        ';
+
+            for (const privilege of missing) {
+                const element = this.document.createElementNS(TIZEN_PACKAGE_NS, 'privilege');
+                element.appendChild(this.document.createTextNode(privilege));
+                privileges.insertBefore(this.document.createTextNode(indent), closing);
+                privileges.insertBefore(element, closing);
+                merged.push(`added privilege ${privilege}`);
+            }
+        }
+
+        if (widget.requiredVersion && compareVersions(widget.requiredVersion, this.requiredVersion || '0') > 0) {
+            merged.push(this.requiredVersion ?
+                `raised api-version from ${this.requiredVersion} to ${widget.requiredVersion}` :
+                `set api-version to ${widget.requiredVersion}`);
+            this.root.setAttribute('api-version', widget.requiredVersion);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Applies multiple changes at once. Package ID is changed first, so the app ID can follow it.
+     * @param {ManifestChanges} changes
+     */
+
+    update(changes) {
+        if (changes.packageId) this.packageId = changes.packageId;
+        if (changes.appId) this.appId = changes.appId;
+        if (changes.version) this.version = changes.version;
+        if (changes.name) this.name = changes.name;
+    }
+
+    /**
+     * Serializes the manifest.
+     * @returns {Buffer}
+     */
+
+    toBuffer() {
+        return Buffer.from(new XMLSerializer().serializeToString(this.document));
+    }
+}
+
+module.exports = Manifest;
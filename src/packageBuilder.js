@@ -0,0 +1,256 @@
+const { statSync, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { randomUUID } = require('crypto');
+const Signature = require('./packageSigner.js');
+const Manifest = require('./manifest.js');
+const TizenCertificateCreator = require('./tizenCertificateCreator.js');
+const { readPackage, readDirectory, isSignatureFile } = require('./packageReader.js');
+const { writePackage, writePackageStream, sortFiles } = require('./packageWriter.js');
+const { validateCertificates } = require('./certificateValidator.js');
+const { formatName } = require('./certificateInfo.js');
+const IgnoreRules = require('./ignoreRules.js');
+
+const HYBRID_WEB_DIRECTORY = 'res/wgt';
+
+/**
+ * @typedef {Object} BuildOptions
+ * @property {string|Buffer|Array<import('./packageSigner.js').File>} input - A project directory, a path to a .wgt/.tpk, the contents of a package or a list of files
+ * @property {string} [type] - "wgt", "tpk" or "hybrid". Detected from the manifest if it's not given
+ * @property {string|Buffer|Array<import('./packageSigner.js').File>} [web] - With the "hybrid" type, the web app put under res/wgt of the `input` service package
+ * @property {import('./signer.js').SigningKey} [author] - The author key. Not needed with `keepAuthor`
+ * @property {boolean} [keepAuthor] - Keep the author signature of a signed input byte for byte and only replace the distributor signatures.
+ * The author signature is checked first, so the files and the manifest can't change
+ * @property {import('./signer.js').SigningKey|Array<import('./signer.js').SigningKey>} [distributor] - The distributor key, or a list of them
+ * signing signature1.xml, signature2.xml and so on. Defaults to the Tizen SDK distributor certificate of `privilege`
+ * @property {string} [privilege] - "public" or "partner", picks the SDK distributor certificate when `distributor` isn't given
+ * @property {Array<string>|function(string, boolean): boolean} [ignore] - Extra rules in .gitignore format, or a function called with the relative path of every file and directory (and whether it's a directory) that returns true to skip it
+ * @property {string} [ignoreFile] - File with more rules in .gitignore format. A .tizenignore at the root of a project directory is always read
+ * @property {boolean} [defaultIgnore=true] - Leave out .git, node_modules, .DS_Store, old .wgt/.tpk files and signature files of a project directory.
+ * Packages and file lists only lose the files `ignore` and `ignoreFile` match
+ * @property {import('./manifest.js').ManifestChanges} [manifest] - Changes to the package ID, app ID, version or name. Not supported with the "hybrid" type
+ * @property {boolean} [reproducible] - Sort entries and use fixed timestamps and permissions
+ * @property {boolean} [verifyCertificates] - Check the certificate chains, expiry dates and privilege level before signing
+ * @property {number} [warnDays] - With verifyCertificates, warn about certificates that expire within this many days
+ * @property {string} [certDir] - Directory the Tizen and Samsung certificates are cached in
+ * @property {string|import('stream').Writable} [output] - Path or stream the package is written to. A Buffer is returned if it's not given
+ * @property {{ log: function(string): void, warn: function(string): void }} [logger] - Such as console. Nothing is logged by default
+ * @property {import('./digestCache.js')} [digestCache] - Reuses the digests of unchanged files between builds
+ * @property {boolean} [uniqueIdentifiers] - Give every signature a random urn:uuid identifier, instead of the empty one Tizen Studio writes
+ * @property {string} [digestAlgorithm="sha512"] - Digest of the signed files: "sha256", "sha384" or "sha512"
+ * @property {string} [signatureAlgorithm] - Such as "rsa-sha256" or "ecdsa-sha256". Follows `digestAlgorithm` and the key type of each certificate by default
+ */
+
+// Existing signatures are dropped, the package is signed again from scratch. Only the author signature can be kept.
+async function readInput(options) {
+    const isKept = path => options.keepAuthor && path === 'author-signature.xml';
+    const isDirectory = !Array.isArray(options.input) && !Buffer.isBuffer(options.input) && statSync(options.input).isDirectory();
+
+    // The default rules are for project directories. A package keeps what it was built with, only the rules
+    // given explicitly apply to it.
+    const rules = IgnoreRules.fromProject(isDirectory ? options.input : null, {
+        ignoreFile: options.ignoreFile,
+        defaults: isDirectory ? options.defaultIgnore : false
+    });
+    if (Array.isArray(options.ignore)) rules.add(options.ignore);
+    const ignoreFunction = typeof options.ignore === 'function' ? options.ignore : () => false;
+
+    if (isDirectory) {
+        return readDirectory(options.input, {
+            ignore: (path, directory) => !isKept(path) && (rules.ignores(path, directory) || ignoreFunction(path, directory))
+        }).filter(file => isKept(decodeURIComponent(file.uri)) || !isSignatureFile(decodeURIComponent(file.uri)));
+    }
+
+    // Packages and file lists have no directory entries, so every parent of a file is checked too.
+    const files = Array.isArray(options.input) ? options.input : await readPackage(options.input);
+    return files.filter(file => {
+        const path = decodeURIComponent(file.uri);
+        if (isKept(path)) return true;
+        if (isSignatureFile(path) || rules.isIgnored(path)) return false;
+
+        const parts = path.split('/');
+        return !parts.some((part, index) => ignoreFunction(parts.slice(0, index + 1).join('/'), index < parts.length - 1));
+    });
+}
+
+// Puts the web app under res/wgt of the service package and merges its config.xml into tizen-manifest.xml.
+async function readHybridInput(options, logger) {
+    if (!options.web) throw new Error('A hybrid package needs a web app, pass `web` (--web)');
+
+    const service = (await readInput(options))
+        .filter(file => !decodeURIComponent(file.uri).startsWith(`${HYBRID_WEB_DIRECTORY}/`));
+    const web = await readInput({ ...options, input: options.web });
+
+    const manifest = await Manifest.fromFiles(service);
+    if (!manifest || manifest.type !== 'tpk') throw new Error('The service package has no tizen-manifest.xml');
+    const widget = await Manifest.fromFiles(web);
+    if (!widget || widget.type !== 'wgt') throw new Error('The web app has no config.xml');
+
+    const merged = manifest.mergeWidget(widget);
+    merged.forEach(change => logger.log(`Merged config.xml into tizen-manifest.xml: ${change}`));
+
+    const manifestName = Manifest.fileName('tpk');
+    const files = merged.length ?
+        service.map(file => decodeURIComponent(file.uri) === manifestName ? { uri: file.uri, data: manifest.toBuffer() } : file) :
+        service;
+
+    return files.concat(web.map(file => ({
+        ...file,
+        uri: encodeURIComponent(`${HYBRID_WEB_DIRECTORY}/${decodeURIComponent(file.uri)}`)
+    })));
+}
+
+// The kept author signature has to match the files as they are, or the package wouldn't install.
+async function checkAuthorSignature(files) {
+    const { signatures } = await Signature.verify(files);
+    const author = signatures.find(signature => signature.file === 'author-signature.xml');
+    if (!author) throw new Error('The input has no author signature to keep');
+
+    const problems = [
+        ...author.errors,
+        ...(author.signatureValid || author.errors.length ? [] : ['SignatureValue does not match SignedInfo']),
+        ...author.mismatched.map(file => `Digest mismatch: ${file}`),
+        ...author.missing.map(file => `Missing file: ${file}`),
+        ...author.extra.map(file => `Unsigned file: ${file}`)
+    ];
+    if (problems.length) {
+        throw new Error(`The author signature of the input is invalid, so it can't be kept:\n  ${problems.join('\n  ')}`);
+    }
+    return author;
+}
+
+/**
+ * Builds and signs a Tizen package: reads the input, rewrites the manifest, signs it as the author and the distributor and zips it.
+ * With `keepAuthor`, a signed input keeps its author signature and is only signed by the distributors again.
+ * @param {BuildOptions} options
+ * @returns {Promise<Buffer|undefined>} The package, or nothing if it was written to `output`
+ */
+
+async function buildPackage(options) {
+    const logger = options.logger || { log() { }, warn() { } };
+
+    if (options.type !== undefined && !['tpk', 'wgt', 'hybrid'].includes(options.type)) {
+        throw new Error(`Invalid package type: ${options.type}. Must be "tpk", "wgt" or "hybrid".`);
+    }
+    const changes = options.manifest || {};
+    const rewritesManifest = changes.packageId || changes.appId || changes.version || changes.name;
+    if (options.keepAuthor) {
+        if (options.type === 'hybrid') throw new Error('A hybrid package is a new package, it can\'t keep an author signature');
+        if (rewritesManifest) {
+            throw new Error('The manifest can\'t be changed while keeping the author signature, it would no longer match');
+        }
+    } else if (!options.author) {
+        throw new Error('An author key is required');
+    }
+    // The web app has to keep the package ID of the service package, and a widget ID can't be a native one and the other way around.
+    if (options.type === 'hybrid' && rewritesManifest) {
+        throw new Error('The manifest can\'t be changed while building a hybrid package, change tizen-manifest.xml and the config.xml of the web app instead');
+    }
+
+    let files = options.type === 'hybrid' ? await readHybridInput(options, logger) : await readInput(options);
+    // A hybrid package is a .tpk on the outside.
+    const type = options.type === 'hybrid' ? 'tpk' : options.type;
+
+    if (rewritesManifest) {
+        const manifest = await Manifest.rewrite(files, changes);
+        logger.log(`Rewrote ${Manifest.fileName(manifest.type)}: ${manifest.packageId} (${manifest.appId}) ${manifest.version}`);
+    }
+
+    const manifest = await Manifest.fromFiles(files);
+    if (!type && !manifest) {
+        throw new Error('Neither config.xml nor tizen-manifest.xml was found, pass the package type');
+    }
+    if (type && manifest && manifest.type !== type) {
+        throw new Error(`The package has a ${Manifest.fileName(manifest.type)}, but the type is ${type}`);
+    }
+
+    if (options.keepAuthor) {
+        const author = await checkAuthorSignature(files);
+        logger.log(`Keeping the author signature of ${author.certificates.length ? formatName(author.certificates[0].subject) : 'an unknown signer'}`);
+    }
+
+    const distributors = [].concat(options.distributor || []);
+    if (!distributors.length) {
+        distributors.push(await new TizenCertificateCreator({ certDir: options.certDir }).getSdkDistributor(options.privilege));
+    }
+
+    if (options.verifyCertificates) {
+        const result = validateCertificates({
+            author: options.keepAuthor ? undefined : options.author,
+            distributor: distributors,
+            privileges: manifest ? manifest.privileges : [],
+            certDir: options.certDir,
+            warnDays: options.warnDays
+        });
+
+        result.warnings.forEach(warning => logger.warn(`WARNING: ${warning}`));
+        if (result.errors.length) {
+            throw new Error(`Certificate check failed, set verifyCertificates to false (--no-verify-certs) to sign anyway:\n  ${result.errors.join('\n  ')}`);
+        }
+    }
+
+    if (options.reproducible) {
+        files = sortFiles(files);
+    }
+
+    const signatureOptions = () => ({
+        digestCache: options.digestCache,
+        identifier: options.uniqueIdentifiers ? `urn:uuid:${randomUUID()}` : undefined,
+        digestAlgorithm: options.digestAlgorithm,
+        signatureAlgorithm: options.signatureAlgorithm
+    });
+    if (!options.keepAuthor) {
+        files = await new Signature('AuthorSignature', files, signatureOptions()).sign(options.author);
+    }
+    // Each distributor signature covers the ones before it.
+    for (const distributor of distributors) {
+        files = await new Signature('DistributorSignature', files, signatureOptions()).sign(distributor);
+    }
+
+    return writeOutput(files, options);
+}
+
+async function writeOutput(files, options) {
+    if (!options.output) {
+        return writePackage(files, { reproducible: options.reproducible });
+    }
+
+    // A path is only opened now, so a failed build doesn't leave an empty file behind.
+    const output = typeof options.output === 'string' ? createWriteStream(options.output) : options.output;
+    await pipeline(writePackageStream(files, { reproducible: options.reproducible }), output);
+}
+
+/**
+ * Adds another distributor signature to a signed package, leaving its files and signatures as they are.
+ * The new signatureN.xml covers the author signature and the distributor signatures already there.
+ * @param {Object} options
+ * @param {string|Buffer|Array<import('./packageSigner.js').File>} options.input - Path to a .wgt/.tpk, the contents of a package or a list of files
+ * @param {import('./signer.js').SigningKey} options.distributor
+ * @param {string|import('stream').Writable} [options.output] - Path or stream the package is written to. A Buffer is returned if it's not given
+ * @param {boolean} [options.reproducible]
+ * @param {boolean} [options.uniqueIdentifiers]
+ * @param {string} [options.digestAlgorithm="sha512"]
+ * @param {string} [options.signatureAlgorithm]
+ * @returns {Promise<Buffer|undefined>}
+ */
+
+async function appendDistributorSignature(options) {
+    if (!options.distributor) throw new Error('A distributor key is required');
+
+    const files = Array.isArray(options.input) ? options.input.slice() : await readPackage(options.input);
+    if (!files.some(file => decodeURIComponent(file.uri) === 'author-signature.xml')) {
+        throw new Error('The package has no author signature, build it first');
+    }
+
+    const signed = await new Signature('DistributorSignature', files, {
+        identifier: options.uniqueIdentifiers ? `urn:uuid:${randomUUID()}` : undefined,
+        digestAlgorithm: options.digestAlgorithm,
+        signatureAlgorithm: options.signatureAlgorithm
+    }).sign(options.distributor);
+
+    return writeOutput(signed, options);
+}
+
+module.exports = {
+    buildPackage,
+    appendDistributorSignature
+};
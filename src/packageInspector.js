@@ -0,0 +1,63 @@
+const { statSync } = require('fs');
+const Signature = require('./packageSigner.js');
+const Manifest = require('./manifest.js');
+const { readPackage, readDirectory, readFileData, fileSize, isSignatureFile } = require('./packageReader.js');
+const { describeCertificate } = require('./certificateInfo.js');
+
+/**
+ * @typedef {Object} PackageInfo
+ * @property {string} type - Type of the package, "wgt" or "tpk"
+ * @property {string} packageId - The package ID
+ * @property {string} appId - The ID of the (first) application
+ * @property {string} name - The name of the application
+ * @property {string} version - The version of the package
+ * @property {string} requiredVersion - The required Tizen API version
+ * @property {Array<string>} privileges - The declared privileges
+ * @property {Array<{path: string, size: number}>} files - Every file of the package
+ * @property {Array<{file: string, id: string, role: string, certificates: Array<import('./certificateInfo.js').CertificateDescription>}>} signatures - Signer certificates, signer first
+ */
+
+/**
+ * Reads the manifest and signing metadata of a package or project directory.
+ * @param {string|Buffer} input - Path to a .wgt/.tpk, a project directory or the contents of a package
+ * @returns {Promise<PackageInfo>}
+ */
+
+async function inspectPackage(input) {
+    const files = !Buffer.isBuffer(input) && statSync(input).isDirectory() ?
+        readDirectory(input) :
+        await readPackage(input);
+
+    const manifest = await Manifest.fromFiles(files);
+    if (!manifest) {
+        throw new Error('Neither config.xml nor tizen-manifest.xml was found');
+    }
+
+    const signatures = [];
+    for (const file of files) {
+        const name = decodeURIComponent(file.uri);
+        if (!isSignatureFile(name)) continue;
+
+        const parsed = Signature.parse(await readFileData(file));
+        signatures.push({
+            file: name,
+            id: parsed.id,
+            role: name === 'author-signature.xml' ? 'author' : 'distributor',
+            certificates: parsed.certificates.map(describeCertificate)
+        });
+    }
+
+    return {
+        type: manifest.type,
+        packageId: manifest.packageId,
+        appId: manifest.appId,
+        name: manifest.name,
+        version: manifest.version,
+        requiredVersion: manifest.requiredVersion,
+        privileges: manifest.privileges,
+        files: files.map(file => ({ path: decodeURIComponent(file.uri), size: fileSize(file) })),
+        signatures
+    };
+}
+
+module.exports = inspectPackage;
@@ -0,0 +1,312 @@
+const { readdirSync, statSync, createReadStream, openSync, readSync, closeSync } = require('fs');
+const { Readable, pipeline } = require('stream');
+const { createInflateRaw } = require('zlib');
+const { join } = require('path');
+
+/**
+ * Creates a stream that only opens its source once it's read from.
+ * Packages can have thousands of files, they can't all hold a file descriptor until the zip writer gets to them.
+ * @param {function(): Readable} open
+ * @returns {Readable}
+ */
+
+function lazyStream(open) {
+    let source;
+    return new Readable({
+        read() {
+            if (source) {
+                source.resume();
+                return;
+            }
+
+            source = open();
+            source.on('data', chunk => {
+                if (!this.push(chunk)) source.pause();
+            });
+            source.on('end', () => this.push(null));
+            source.on('error', error => this.destroy(error));
+        },
+        destroy(error, callback) {
+            if (source) source.destroy();
+            callback(error);
+        }
+    });
+}
+
+// Reads parts of a package from a Buffer or from the disk. Only the ranges that are asked for are read.
+function createSource(input) {
+    if (Buffer.isBuffer(input)) {
+        return {
+            size: input.length,
+            read: (position, length) => input.subarray(position, position + length),
+            stream: (start, end) => Readable.from([input.subarray(start, end)], { objectMode: false })
+        };
+    }
+
+    return {
+        size: statSync(input).size,
+        read(position, length) {
+            const buffer = Buffer.alloc(length);
+            const fd = openSync(input, 'r');
+            try {
+                return buffer.subarray(0, readSync(fd, buffer, 0, length, position));
+            } finally {
+                closeSync(fd);
+            }
+        },
+        stream: (start, end) => createReadStream(input, { start, end: end - 1 })
+    };
+}
+
+function readRange(source, position, length) {
+    const buffer = source.read(position, length);
+    if (buffer.length < length) throw new Error('The package is truncated');
+    return buffer;
+}
+
+// The end of central directory record is at the end of the zip, followed by a comment of up to 64 KiB.
+function readEndOfCentralDirectory(source) {
+    const tailLength = Math.min(source.size, 22 + 0xffff);
+    const tail = readRange(source, source.size - tailLength, tailLength);
+
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) !== 0x06054b50) continue;
+
+        const record = {
+            count: tail.readUInt16LE(i + 10),
+            size: tail.readUInt32LE(i + 12),
+            offset: tail.readUInt32LE(i + 16)
+        };
+        if (record.count !== 0xffff && record.size !== 0xffffffff && record.offset !== 0xffffffff) return record;
+
+        // ZIP64: the real values are in another record, found through the locator right before this one.
+        const position = source.size - tailLength + i;
+        const locator = readRange(source, position - 20, 20);
+        if (locator.readUInt32LE(0) !== 0x07064b50) throw new Error('The ZIP64 end of central directory locator of the package is missing');
+        const zip64 = readRange(source, Number(locator.readBigUInt64LE(8)), 56);
+        if (zip64.readUInt32LE(0) !== 0x06064b50) throw new Error('The ZIP64 end of central directory record of the package is broken');
+        return {
+            count: Number(zip64.readBigUInt64LE(32)),
+            size: Number(zip64.readBigUInt64LE(40)),
+            offset: Number(zip64.readBigUInt64LE(48))
+        };
+    }
+    throw new Error('Not a zip file, the end of central directory record is missing');
+}
+
+// Sizes and offsets that don't fit in 32 bits are in the ZIP64 extra field, in this order.
+function readZip64Extra(extra, entry) {
+    for (let i = 0; i + 4 <= extra.length; i += 4 + extra.readUInt16LE(i + 2)) {
+        if (extra.readUInt16LE(i) !== 0x0001) continue;
+
+        let position = i + 4;
+        for (const key of ['size', 'compressedSize', 'offset']) {
+            if (entry[key] !== 0xffffffff) continue;
+            entry[key] = Number(extra.readBigUInt64LE(position));
+            position += 8;
+        }
+    }
+}
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path of the entry as it's stored in the zip, not checked or normalized
+ * @property {boolean} directory - Whether it's a directory entry
+ * @property {number|null} mode - Unix permissions, if the zip was made on a Unix system
+ * @property {number} size - Uncompressed size in bytes
+ */
+
+/**
+ * Lists the entries of a zip from its central directory, without reading their contents.
+ * @param {string|Buffer} input - Path to the zip or its contents
+ * @returns {Array<ZipEntry>}
+ */
+
+function readCentralDirectory(input) {
+    const source = createSource(input);
+    const { count, size, offset } = readEndOfCentralDirectory(source);
+    const directory = readRange(source, offset, size);
+    // Later entries with the same name replace earlier ones
+    const entries = new Map();
+
+    let position = 0;
+    for (let n = 0; n < count; n++) {
+        if (position + 46 > directory.length || directory.readUInt32LE(position) !== 0x02014b50) {
+            throw new Error('The central directory of the package is broken');
+        }
+
+        const nameLength = directory.readUInt16LE(position + 28);
+        const extraLength = directory.readUInt16LE(position + 30);
+        const commentLength = directory.readUInt16LE(position + 32);
+        const nameStart = position + 46;
+        const name = directory.toString('utf8', nameStart, nameStart + nameLength);
+        // The high byte of "version made by" is the system, 3 is Unix. Its permissions are in the upper half of the external attributes.
+        const madeOnUnix = directory.readUInt8(position + 5) === 3;
+        const entry = {
+            name,
+            directory: name.endsWith('/'),
+            mode: madeOnUnix ? (directory.readUInt32LE(position + 38) >>> 16) & 0o7777 : null,
+            flags: directory.readUInt16LE(position + 8),
+            method: directory.readUInt16LE(position + 10),
+            compressedSize: directory.readUInt32LE(position + 20),
+            size: directory.readUInt32LE(position + 24),
+            offset: directory.readUInt32LE(position + 42),
+            source
+        };
+        readZip64Extra(directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), entry);
+
+        if (!entry.directory && entry.flags & 0x1) throw new Error(`${name} is encrypted, encrypted packages aren't supported`);
+        if (!entry.directory && entry.method !== 0 && entry.method !== 8) {
+            throw new Error(`${name} uses an unsupported compression method (${entry.method}), only stored and deflated files are supported`);
+        }
+
+        entries.set(name, entry);
+        position = nameStart + nameLength + extraLength + commentLength;
+    }
+    return [...entries.values()];
+}
+
+/**
+ * Opens a stream to the decompressed contents of an entry, read from the zip as it's consumed.
+ * The local header can have another extra field than the central directory, so the data offset is only known after reading it.
+ * @param {ZipEntry} entry - An entry returned by readCentralDirectory
+ * @returns {Readable}
+ */
+
+function openEntry(entry) {
+    const { source } = entry;
+    const header = readRange(source, entry.offset, 30);
+    if (header.readUInt32LE(0) !== 0x04034b50) throw new Error(`The local header of ${entry.name} is broken`);
+
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (start + entry.compressedSize > source.size) throw new Error('The package is truncated');
+
+    const data = entry.compressedSize ? source.stream(start, start + entry.compressedSize) : Readable.from([]);
+    return entry.method === 8 ? pipeline(data, createInflateRaw(), () => {}) : data;
+}
+
+/**
+ * Reads every file of a .wgt or .tpk package.
+ * Only the central directory is read up front, file contents are read from the package and decompressed when they're streamed.
+ * @param {string|Buffer} input - Path to the package or its contents
+ * @returns {Promise<Array<import('./packageSigner.js').File>>}
+ */
+
+async function readPackage(input) {
+    return readCentralDirectory(input)
+        .filter(entry => !entry.directory)
+        .map(entry => ({
+            uri: encodeURIComponent(entry.name),
+            size: entry.size,
+            stream: () => lazyStream(() => openEntry(entry))
+        }));
+}
+
+/**
+ * Reads every file of a project directory. Contents are streamed from the disk when needed.
+ * @param {string} directory - Path to the project directory
+ * @param {Object} [options]
+ * @param {function(string, boolean): boolean} [options.ignore] - Called with the relative path of every file and directory and whether it's a directory, return true to skip it
+ * @returns {Array<import('./packageSigner.js').File>}
+ */
+
+function readDirectory(directory, options = {}) {
+    const ignore = options.ignore || (() => false);
+    const files = [];
+
+    function readFilesInDirectory(relativePath) {
+        readdirSync(join(directory, relativePath)).forEach(file => {
+            const filePath = relativePath ? `${relativePath}/${file}` : file;
+            const fullPath = join(directory, filePath);
+            const stat = statSync(fullPath);
+            if (ignore(filePath, stat.isDirectory())) return;
+
+            if (stat.isFile()) {
+                files.push({
+                    uri: encodeURIComponent(filePath),
+                    size: stat.size,
+                    path: fullPath,
+                    mtimeMs: stat.mtimeMs,
+                    stream: () => lazyStream(() => createReadStream(fullPath))
+                });
+            } else if (stat.isDirectory()) {
+                readFilesInDirectory(filePath);
+            }
+        });
+    }
+
+    readFilesInDirectory('');
+    return files;
+}
+
+/**
+ * Opens a stream to the contents of a file.
+ * @param {import('./packageSigner.js').File} file
+ * @returns {Readable}
+ */
+
+function openFile(file) {
+    return file.data ? Readable.from([file.data], { objectMode: false }) : file.stream();
+}
+
+/**
+ * Reads the whole contents of a file. Only meant for small files like manifests and signatures.
+ * @param {import('./packageSigner.js').File} file
+ * @returns {Promise<Buffer>}
+ */
+
+async function readFileData(file) {
+    if (file.data) return file.data;
+
+    const chunks = [];
+    for await (const chunk of file.stream()) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Gets the size of a file in bytes.
+ * @param {import('./packageSigner.js').File} file
+ * @returns {number}
+ */
+
+function fileSize(file) {
+    return file.data ? file.data.length : file.size;
+}
+
+/**
+ * Checks whether a file is one of the signature files of a package.
+ * @param {string} name - Decoded path of the file
+ * @returns {boolean}
+ */
+
+function isSignatureFile(name) {
+    return name === 'author-signature.xml' || /^signature\d+\.xml$/.test(name);
+}
+
+/**
+ * Orders signature files the way they're signed: the author signature first, then signature1.xml, signature2.xml...
+ * @param {string} a - Decoded path of a signature file
+ * @param {string} b - Decoded path of a signature file
+ * @returns {number}
+ */
+
+function compareSignatureFiles(a, b) {
+    if (a === b) return 0;
+    if (a === 'author-signature.xml') return -1;
+    if (b === 'author-signature.xml') return 1;
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+module.exports = {
+    readPackage,
+    readCentralDirectory,
+    openEntry,
+    readDirectory,
+    openFile,
+    readFileData,
+    fileSize,
+    isSignatureFile,
+    compareSignatureFiles
+};
@@ -1,149 +1,415 @@
-const { createHash, createSign } = require('crypto');
+const { createHash, createVerify } = require('crypto');
 const { DOMParser } = require('@xmldom/xmldom');
 const forge = require('node-forge');
 const ExclusiveCanonicalization = require('./xml-c14n.js');
+const Canonicalization11 = require('./xml-c14n11.js');
+const { openFile, readFileData, isSignatureFile, compareSignatureFiles } = require('./packageReader.js');
+const { createSigner } = require('./signer.js');
+const { certificateFromAsn1, certificateToDer, toX509, getKeyType } = require('./certificateInfo.js');
+const { DIGEST_ALGORITHMS, resolveAlgorithms, digestFromUri, signatureFromUri } = require('./algorithms.js');
 
-// These digests don't change. Why even add it, Samsung?
-const authorPropDigest = 'aXbSAVgmAz0GsBUeZ1UmNDRrxkWhDUVGb45dZcNRq429wX3X+x6kaXT3NdNDTSNVTU+ypkysPMGvQY10fG1EWQ==';
-const distributorPropDigest = '/r5npk2VVA46QFJnejgONBEh4BWtjrtu9x/IFeLksjWyGmB/cMWKSJWQl7aU3YRQRZ3AesG8gF7qGyvKX9Snig==';
-
-function createReference(data, uri) {
-    let hashBase64;
-    if (uri !== '#prop') {
-        const hash = createHash('sha512');
-        hash.update(data);
-        hashBase64 = hash.digest('base64');
-    } else hashBase64 = data;
+const XMLDSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+
+// Hashes the file as a stream, so large files never have to be fully loaded.
+async function digestFile(file, algorithm) {
+    const hash = createHash(algorithm);
+    for await (const chunk of openFile(file)) {
+        hash.update(chunk);
+    }
+    return hash.digest('base64');
+}
+
+function createReference(hashBase64, uri, digestAlgorithm) {
     const transform = '<Transforms>\n' +
         '<Transform Algorithm="http://www.w3.org/2006/12/xml-c14n11"></Transform>\n' +
         '</Transforms>\n';
 
     return `<Reference URI="${uri}">\n` +
         `${uri === '#prop' ? transform : ''}` +
-        '<DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha512"></DigestMethod>\n' +
+        `<DigestMethod Algorithm="${DIGEST_ALGORITHMS[digestAlgorithm]}"></DigestMethod>\n` +
         `<DigestValue>${hashBase64.replace(/(.{76})/g, '$1\n')}</DigestValue>\n` +
         '</Reference>\n';
 }
 
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// The #prop reference covers the <Object Id="prop"> of the signature, canonicalized with C14N 1.1.
+function digestProperties(object, algorithm) {
+    return createHash(algorithm).update(new Canonicalization11().process(object)).digest('base64');
+}
+
+function findPropertiesObject(root) {
+    return childElements(root, 'Object').find(object => object.getAttribute('Id') === 'prop') || null;
+}
+
+function canonicalizeSignedInfo(node) {
+    const C14N = new ExclusiveCanonicalization();
+    return C14N.process(node, {
+        defaultNsForPrefix: { ds: 'http://www.w3c.org/2000/09/xmldsig#' }
+    });
+}
+
+function certificateFromBase64(base64) {
+    const der = forge.util.decode64(base64.replace(/\s+/g, ''));
+    return certificateFromAsn1(forge.asn1.fromDer(der));
+}
+
+// The N of signatureN.xml, or null for other files.
+function signatureNumber(name) {
+    const match = /^signature(\d+)\.xml$/.exec(name);
+    return match ? Number(match[1]) : null;
+}
+
+function childElements(node, tagName) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1 && child.localName === tagName);
+}
+
 /**
  * @typedef {Object} File
  * @property {string} uri - The URI path of the file
- * @property {Buffer} data - The data of the file
+ * @property {Buffer} [data] - The data of the file
+ * @property {function(): import('stream').Readable} [stream] - Opens a stream to the data of the file, used when data isn't given
+ * @property {number} [size] - Size of the file in bytes, used along with stream
+ * @property {string} [path] - Path of the file on the disk, for files read from a directory
+ * @property {number} [mtimeMs] - Modification time of the file on the disk
+ */
+
+/**
+ * @typedef {Object} ParsedSignature
+ * @property {string} id - The Id attribute of the signature
+ * @property {Element} signedInfo - The SignedInfo element
+ * @property {string} signatureMethod - Algorithm URI of the SignatureMethod
+ * @property {Array<{uri: string, digestMethod: string, digestValue: string}>} references - The references of the SignedInfo
+ * @property {string} signatureValue - Base64 encoded signature value
+ * @property {Array<forge.pki.Certificate>} certificates - The certificates from KeyInfo, signer first
+ * @property {Element} properties - The <Object Id="prop"> element the #prop reference covers
+ * @property {string} identifier - Value of the dsp:Identifier signature property
+ */
+
+/**
+ * @typedef {Object} SignatureVerification
+ * @property {string} file - Name of the signature file
+ * @property {string} id - The Id attribute of the signature
+ * @property {boolean} valid - Whether the signature and all of its references are valid
+ * @property {boolean} signatureValid - Whether the SignatureValue matches the canonicalized SignedInfo
+ * @property {Array<forge.pki.Certificate>} certificates - The certificates from KeyInfo
+ * @property {Array<string>} mismatched - Files whose digest doesn't match
+ * @property {Array<string>} missing - Files that are signed but missing from the package
+ * @property {Array<string>} extra - Files in the package that aren't signed
+ * @property {Array<string>} errors - Other problems with the signature
+ */
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {boolean} valid - Whether the whole package is correctly signed
+ * @property {Array<SignatureVerification>} signatures - Result for every signature file
+ * @property {Array<string>} errors - Problems with the package itself
  */
 
 class Signature {
 
     /**
      * Creates a signature for a Tizen package. Could be a Widget or a Tizen Package.
-     * @param {string} id - ID for the Signature. Can be AuthorSignature or DistributorSignature
+     * @param {string} id - ID for the Signature. Can be AuthorSignature or DistributorSignature, any other ID makes a distributor signature too.
+     * Distributor signatures go to the next free signatureN.xml, covering the signatures already among the files.
      * @param {Array<File>} files - The files which'll get their hashes calculated and the Signature will be added after signing.
+     * @param {Object} [options]
+     * @param {import('./digestCache.js')} [options.digestCache] - Reuses the digests of unchanged files between builds
+     * @param {string} [options.identifier] - Value of the dsp:Identifier signature property. The widgets digsig spec
+     * recommends a unique one per signature, empty like Tizen Studio by default
+     * @param {string} [options.digestAlgorithm="sha512"] - "sha256", "sha384" or "sha512"
+     * @param {string} [options.signatureAlgorithm] - Such as "rsa-sha256" or "ecdsa-sha256". Follows the digest algorithm and
+     * the key type of the certificate by default
      */
-    constructor(id, files) {
+    constructor(id, files, options = {}) {
         this.id = id;
         this.files = files;
+        this.digestCache = options.digestCache;
+        this.identifier = options.identifier || '';
+        this.digestAlgorithm = options.digestAlgorithm;
+        this.signatureAlgorithm = options.signatureAlgorithm;
+        this.algorithms = null;
         this.references = '';
         this.keyInfo = '';
         this.signedInfo = '';
-        this.privateKey = '';
     }
 
-    _createReferences() {
+    async _createReferences() {
+        const algorithm = this.algorithms.digest;
         // Loop through all files.
         for (const file of this.files) {
-            const reference = createReference(file.data, file.uri);
+            const digest = this.digestCache ?
+                await this.digestCache.get(file, algorithm, () => digestFile(file, algorithm)) :
+                await digestFile(file, algorithm);
+            const reference = createReference(digest, file.uri, algorithm);
             this.references += reference;
         }
 
-        // Also add #prop as a reference. Why does it exist?
-        this.references += createReference(this.id === 'AuthorSignature' ? authorPropDigest : distributorPropDigest, '#prop');
+        // The Object inherits the namespace of <Signature>, so it's canonicalized in place.
+        const document = new DOMParser().parseFromString(
+            `<Signature xmlns="${XMLDSIG_NS}" Id="${escapeXml(this.id)}">${this._generateObjectXML()}</Signature>`,
+            'text/xml'
+        );
+        this.references += createReference(digestProperties(findPropertiesObject(document.documentElement), algorithm), '#prop', algorithm);
     }
 
     /**
      * 
-     * @param {forge.pkcs12.Pkcs12Pfx} key 
+     * @param {Array<forge.pki.Certificate>} certificates - The chain, signer first
      */
 
-    _addKeyInfo(key) {
+    _addKeyInfo(certificates) {
         this.keyInfo = '<KeyInfo>\n<X509Data>';
-        for (const safeContents of key.safeContents) {
-            for (const bag of safeContents.safeBags) {
-                if (bag.type === forge.pki.oids.certBag) {
-                    const pem = forge.pki.certificateToPem(bag.cert);
-                    // Add a \n every 76 characters
-                    const key = pem.replace(/-----BEGIN CERTIFICATE-----/g, '')
-                        .replace(/-----END CERTIFICATE-----/g, '')
-                        .replace(/[\r\n]+/g, '')
-                        .replace(/(.{76})/g, '$1\n');
-
-                        this.keyInfo += `\n<X509Certificate>${key.startsWith('\n') ? '' : '\n'}${key}\n</X509Certificate>`;
-                } else if (bag.type === forge.pki.oids.pkcs8ShroudedKeyBag) {
-                    this.privateKey = forge.pki.privateKeyToPem(bag.key);
-                }
-            }
+        for (const cert of certificates) {
+            // Add a \n every 76 characters
+            const key = certificateToDer(cert).toString('base64').replace(/(.{76})/g, '$1\n');
+
+            this.keyInfo += `\n<X509Certificate>${key.startsWith('\n') ? '' : '\n'}${key}\n</X509Certificate>`;
         }
         this.keyInfo += '\n</X509Data>\n</KeyInfo>\n';
     }
 
     /**
      * 
-     * @param {forge.pkcs12.Pkcs12Pfx} key 
+     * @param {import('./signer.js').Signer} signer
      */
 
-    _generateSignature(key) {
+    async _generateSignature(signer) {
         this.signedInfo += '<SignedInfo>\n' +
             '<CanonicalizationMethod Algorithm="http://www.w3.org/2001/10/xml-exc-c14n#"></CanonicalizationMethod>\n' +
-            '<SignatureMethod Algorithm="http://www.w3.org/2001/04/xmldsig-more#rsa-sha512"></SignatureMethod>\n' +
+            `<SignatureMethod Algorithm="${this.algorithms.signature.uri}"></SignatureMethod>\n` +
             this.references +
             '</SignedInfo>\n';
 
-        const signWrapper = `<Signature xmlns="http://www.w3.org/2000/09/xmldsig#">${this.signedInfo}</Signature>`;
+        const signWrapper = `<Signature xmlns="${XMLDSIG_NS}">${this.signedInfo}</Signature>`;
         const parser = new DOMParser().parseFromString(signWrapper, 'text/xml');
         const node = parser.documentElement.firstChild;
-        const C14N = new ExclusiveCanonicalization();
-        const C14NResult = C14N.process(node, {
-            defaultNsForPrefix: { ds: 'http://www.w3c.org/2000/09/xmldsig#' }
-        });
+        const C14NResult = canonicalizeSignedInfo(node);
 
-        const signedKey = createSign('RSA-SHA512').update(C14NResult).sign(key, 'base64');
+        const signedKey = await signer.sign(C14NResult, this.algorithms.signature);
 
         this.signedInfo += `<SignatureValue>\n${signedKey.replace(/(.{76})/g, '$1\n')}\n</SignatureValue>\n`;
     }
 
-    _generateSignatureXML() {
-        return `<Signature xmlns="http://www.w3.org/2000/09/xmldsig#" Id="${this.id}">\n` +
-            this.signedInfo +
-            this.keyInfo +
-            '<Object Id="prop">' +
+    _generateObjectXML() {
+        const target = `#${escapeXml(this.id)}`;
+        return '<Object Id="prop">' +
             '<SignatureProperties xmlns:dsp="http://www.w3.org/2009/xmldsig-properties">' +
-            `<SignatureProperty Id="profile" Target="#${this.id}">` +
+            `<SignatureProperty Id="profile" Target="${target}">` +
             '<dsp:Profile URI="http://www.w3.org/ns/widgets-digsig#profile">' +
             '</dsp:Profile>' +
             '</SignatureProperty>' +
-            `<SignatureProperty Id="role" Target="#${this.id}">` +
+            `<SignatureProperty Id="role" Target="${target}">` +
             `<dsp:Role URI="http://www.w3.org/ns/widgets-digsig#role-${this.id == 'AuthorSignature' ? 'author' : 'distributor'}">` +
             '</dsp:Role>' +
             '</SignatureProperty>' +
-            `<SignatureProperty Id="identifier" Target="#${this.id}">` +
-            '<dsp:Identifier>' +
-            '</dsp:Identifier></SignatureProperty></SignatureProperties></Object>\n' +
+            `<SignatureProperty Id="identifier" Target="${target}">` +
+            `<dsp:Identifier>${escapeXml(this.identifier)}` +
+            '</dsp:Identifier></SignatureProperty></SignatureProperties></Object>';
+    }
+
+    _generateSignatureXML() {
+        return `<Signature xmlns="${XMLDSIG_NS}" Id="${escapeXml(this.id)}">\n` +
+            this.signedInfo +
+            this.keyInfo +
+            this._generateObjectXML() + '\n' +
             `</Signature>\n`;
     }
 
     /**
      * 
-     * @param {forge.pkcs12.Pkcs12Pfx} key
+     * @param {import('./signer.js').SigningKey} key - A .p12, a PEM private key with its chain, or a sign callback with its chain
      */
 
     async sign(key) {
+        const signer = createSigner(key);
+        this.algorithms = resolveAlgorithms({
+            digestAlgorithm: this.digestAlgorithm,
+            signatureAlgorithm: this.signatureAlgorithm
+        }, signer.keyType);
         await this._createReferences();
-        await this._addKeyInfo(key);
-        await this._generateSignature(this.privateKey);
+        this._addKeyInfo(signer.certificates);
+        await this._generateSignature(signer);
         this.files.unshift({
-            uri: this.id === 'AuthorSignature' ? 'author-signature.xml' : 'signature1.xml',
+            uri: this._fileName(),
             data: Buffer.from(await this._generateSignatureXML())
         });
         return this.files;
     }
+
+    // Distributor signatures are numbered from 1, a new one comes after those already among the files.
+    _fileName() {
+        if (this.id === 'AuthorSignature') return 'author-signature.xml';
+
+        const numbers = this.files
+            .map(file => signatureNumber(decodeURIComponent(file.uri)))
+            .filter(number => number !== null);
+        return `signature${Math.max(0, ...numbers) + 1}.xml`;
+    }
+
+    /**
+     * Parses a signature file such as author-signature.xml or signature1.xml.
+     * @param {Buffer|string} data - Contents of the signature file
+     * @returns {ParsedSignature}
+     */
+
+    static parse(data) {
+        const document = new DOMParser().parseFromString(data.toString(), 'text/xml');
+        const root = document.documentElement;
+        if (!root || root.localName !== 'Signature') {
+            throw new Error('Not a signature file');
+        }
+
+        const signedInfo = childElements(root, 'SignedInfo')[0];
+        if (!signedInfo) throw new Error('Signature has no SignedInfo');
+        const signatureMethod = childElements(signedInfo, 'SignatureMethod')[0];
+
+        const references = childElements(signedInfo, 'Reference').map(reference => {
+            const digestMethod = childElements(reference, 'DigestMethod')[0];
+            const digestValue = childElements(reference, 'DigestValue')[0];
+            return {
+                uri: reference.getAttribute('URI'),
+                digestMethod: digestMethod ? digestMethod.getAttribute('Algorithm') : null,
+                digestValue: digestValue ? digestValue.textContent.replace(/\s+/g, '') : null
+            };
+        });
+
+        const properties = findPropertiesObject(root);
+        const identifier = properties && properties.getElementsByTagNameNS('http://www.w3.org/2009/xmldsig-properties', 'Identifier')[0];
+
+        const signatureValue = childElements(root, 'SignatureValue')[0];
+        const certificates = Array.from(root.getElementsByTagNameNS(XMLDSIG_NS, 'X509Certificate'))
+            .map(node => certificateFromBase64(node.textContent));
+
+        return {
+            id: root.getAttribute('Id'),
+            signedInfo,
+            signatureMethod: signatureMethod ? signatureMethod.getAttribute('Algorithm') : null,
+            references,
+            signatureValue: signatureValue ? signatureValue.textContent.replace(/\s+/g, '') : null,
+            certificates,
+            properties,
+            identifier: identifier ? identifier.textContent : null
+        };
+    }
+
+    /**
+     * Verifies every signature of a package, recomputing the digests of the signed files.
+     * @param {Array<File>} files - All files of the package, including the signature files
+     * @returns {Promise<VerificationResult>}
+     */
+
+    static async verify(files) {
+        const names = files.map(file => decodeURIComponent(file.uri));
+        const signatureNames = names.filter(isSignatureFile).sort(compareSignatureFiles);
+
+        const errors = [];
+        if (!signatureNames.includes('author-signature.xml')) errors.push('Missing author-signature.xml');
+        if (!signatureNames.some(name => name !== 'author-signature.xml')) errors.push('Missing distributor signature (signature1.xml)');
+
+        const signatures = [];
+        for (const name of signatureNames) {
+            const file = files[names.indexOf(name)];
+            const result = {
+                file: name,
+                id: null,
+                valid: false,
+                signatureValid: false,
+                certificates: [],
+                mismatched: [],
+                missing: [],
+                extra: [],
+                errors: []
+            };
+
+            let parsed;
+            try {
+                parsed = Signature.parse(await readFileData(file));
+            } catch (error) {
+                result.errors.push(error.message);
+                signatures.push(result);
+                continue;
+            }
+
+            result.id = parsed.id;
+            result.certificates = parsed.certificates;
+
+            const isAuthor = name === 'author-signature.xml';
+            const referenced = new Set();
+
+            for (const reference of parsed.references) {
+                const algorithm = digestFromUri(reference.digestMethod);
+
+                if (reference.uri === '#prop') {
+                    if (!parsed.properties) {
+                        result.missing.push(reference.uri);
+                    } else if (!algorithm) {
+                        result.errors.push(`Unsupported digest method for ${reference.uri}: ${reference.digestMethod}`);
+                    } else if (digestProperties(parsed.properties, algorithm) !== reference.digestValue) {
+                        result.mismatched.push(reference.uri);
+                    }
+                    continue;
+                }
+
+                const referenceName = decodeURIComponent(reference.uri);
+                referenced.add(referenceName);
+                const index = names.indexOf(referenceName);
+                if (index === -1) {
+                    result.missing.push(referenceName);
+                    continue;
+                }
+
+                if (!algorithm) {
+                    result.errors.push(`Unsupported digest method for ${referenceName}: ${reference.digestMethod}`);
+                    continue;
+                }
+
+                const digest = await digestFile(files[index], algorithm);
+                if (digest !== reference.digestValue) result.mismatched.push(referenceName);
+            }
+
+            // The author signature covers every file but the signatures. A distributor signature also covers
+            // the author signature and the distributor signatures numbered before it.
+            const number = signatureNumber(name);
+            const covers = other => !isSignatureFile(other) ||
+                (!isAuthor && (other === 'author-signature.xml' || signatureNumber(other) < number));
+            result.extra = names.filter(other => !referenced.has(other) && covers(other));
+
+            const signatureAlgorithm = signatureFromUri(parsed.signatureMethod);
+            if (!signatureAlgorithm) {
+                result.errors.push(`Unsupported signature method: ${parsed.signatureMethod}`);
+            } else if (!parsed.certificates.length) {
+                result.errors.push('Signature has no X509 certificate');
+            } else if (getKeyType(parsed.certificates[0]) !== signatureAlgorithm.keyType) {
+                result.errors.push(`The ${signatureAlgorithm.name} signature method doesn't match the ${getKeyType(parsed.certificates[0])} key of the certificate`);
+            } else if (!parsed.signatureValue) {
+                result.errors.push('Signature has no SignatureValue');
+            } else {
+                result.signatureValid = createVerify(signatureAlgorithm.hash)
+                    .update(canonicalizeSignedInfo(parsed.signedInfo))
+                    .verify({
+                        key: toX509(parsed.certificates[0]).publicKey,
+                        dsaEncoding: signatureAlgorithm.keyType === 'ec' ? 'ieee-p1363' : undefined
+                    }, parsed.signatureValue, 'base64');
+            }
+
+            result.valid = result.signatureValid &&
+                !result.mismatched.length &&
+                !result.missing.length &&
+                !result.extra.length &&
+                !result.errors.length;
+
+            signatures.push(result);
+        }
+
+        return {
+            valid: !errors.length && signatures.every(signature => signature.valid),
+            signatures,
+            errors
+        };
+    }
 }
 
 module.exports = Signature;
\ No newline at end of file
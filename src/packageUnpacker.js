@@ -0,0 +1,141 @@
+const forge = require('node-forge');
+const { existsSync, readdirSync, mkdirSync, createWriteStream, chmodSync, writeFileSync } = require('fs');
+const { resolve, dirname, sep } = require('path');
+const { pipeline } = require('stream/promises');
+const Signature = require('./packageSigner.js');
+const Manifest = require('./manifest.js');
+const { readCentralDirectory, openEntry, readFileData, isSignatureFile, compareSignatureFiles } = require('./packageReader.js');
+const { describeCertificate, certificateToDer } = require('./certificateInfo.js');
+
+/**
+ * @typedef {Object} UnpackOptions
+ * @property {string|Buffer} input - Path to a .wgt/.tpk or its contents
+ * @property {string} output - Directory the files are extracted to. It has to be empty or missing unless `force` is set
+ * @property {boolean} [stripSignatures] - Leave out author-signature.xml and signatureN.xml
+ * @property {string} [metadata] - Path of the JSON sidecar. Defaults to the output directory with ".json" added
+ * @property {boolean} [force] - Extract into a directory that isn't empty, overwriting files
+ */
+
+/**
+ * @typedef {Object} UnpackMetadata
+ * @property {string|null} source - Path of the package, if it was read from one
+ * @property {Object|null} manifest - Type, package ID, app ID, name, version, required API version and privileges
+ * @property {Array<{file: string, id: string, role: string, identifier: string, signatureMethod: string,
+ *  certificates: Array<import('./certificateInfo.js').CertificateDescription & {pem: string}>, error?: string}>} signatures - Signer certificates, signer first
+ * @property {boolean} signaturesStripped - Whether the signature files were left out of the directory
+ * @property {Array<string>} files - Paths of the extracted files
+ */
+
+// Entry names come from the package, so anything that could land outside of the output directory is refused.
+function checkEntryName(name, directory) {
+    const parts = name.split('/');
+    const unsafe = name.includes('\\') || name.includes('\0') || name.startsWith('/') || /^[a-zA-Z]:/.test(name) ||
+        parts.includes('..');
+    const target = resolve(directory, name);
+
+    if (unsafe || (target !== directory && !target.startsWith(directory + sep))) {
+        throw new Error(`Refusing to unpack ${JSON.stringify(name)}, it points outside of the output directory`);
+    }
+    return target;
+}
+
+async function describeSignature(name, file) {
+    const signature = {
+        file: name,
+        id: null,
+        role: name === 'author-signature.xml' ? 'author' : 'distributor',
+        identifier: null,
+        signatureMethod: null,
+        certificates: []
+    };
+
+    try {
+        const parsed = Signature.parse(await readFileData(file));
+        signature.id = parsed.id;
+        signature.identifier = parsed.identifier;
+        signature.signatureMethod = parsed.signatureMethod;
+        signature.certificates = parsed.certificates.map(cert => ({
+            ...describeCertificate(cert),
+            pem: forge.pem.encode({ type: 'CERTIFICATE', body: certificateToDer(cert).toString('binary') })
+        }));
+    } catch (error) {
+        // A broken signature shouldn't stop the files from being extracted.
+        signature.error = error.message;
+    }
+    return signature;
+}
+
+/**
+ * Extracts a .wgt or .tpk into a project directory, the reverse of building from a directory.
+ * Writes a JSON sidecar with the manifest info and the certificates of the original signers next to it.
+ * @param {UnpackOptions} options
+ * @returns {Promise<UnpackMetadata>}
+ */
+
+async function unpackPackage(options) {
+    if (!options.input) throw new Error('A package to unpack is required');
+    if (typeof options.output !== 'string') throw new Error('An output directory is required');
+
+    const directory = resolve(options.output);
+    const metadataPath = resolve(options.metadata || `${directory}.json`);
+    if (existsSync(directory) && readdirSync(directory).length && !options.force) {
+        throw new Error(`The output directory ${options.output} isn't empty, pass force (--force) to extract into it anyway`);
+    }
+
+    // Only the central directory is read here. Every entry is checked before anything is written.
+    const entries = readCentralDirectory(options.input).map(entry => ({
+        entry,
+        target: checkEntryName(entry.name, directory),
+        file: { uri: encodeURIComponent(entry.name), size: entry.size, stream: () => openEntry(entry) }
+    }));
+    if (entries.some(({ target }) => target === metadataPath)) {
+        throw new Error(`The package has a file at ${metadataPath}, pass another metadata path`);
+    }
+
+    const manifest = await Manifest.fromFiles(entries.filter(({ entry }) => !entry.directory).map(({ file }) => file));
+
+    const signatures = [];
+    const extracted = [];
+    mkdirSync(directory, { recursive: true });
+
+    for (const { entry, target, file } of entries) {
+        if (entry.directory) {
+            mkdirSync(target, { recursive: true });
+            continue;
+        }
+
+        if (isSignatureFile(entry.name)) {
+            signatures.push(await describeSignature(entry.name, file));
+            if (options.stripSignatures) continue;
+        }
+
+        mkdirSync(dirname(target), { recursive: true });
+        await pipeline(file.stream(), createWriteStream(target));
+        // Keeps executables of native packages runnable.
+        if (entry.mode & 0o111) chmodSync(target, 0o755);
+        extracted.push(entry.name);
+    }
+
+    signatures.sort((a, b) => compareSignatureFiles(a.file, b.file));
+
+    const metadata = {
+        source: typeof options.input === 'string' ? options.input : null,
+        manifest: manifest && {
+            type: manifest.type,
+            packageId: manifest.packageId,
+            appId: manifest.appId,
+            name: manifest.name,
+            version: manifest.version,
+            requiredVersion: manifest.requiredVersion,
+            privileges: manifest.privileges
+        },
+        signatures,
+        signaturesStripped: Boolean(options.stripSignatures),
+        files: extracted
+    };
+
+    writeFileSync(metadataPath, `${JSON.stringify(metadata, null, 2)}\n`);
+    return metadata;
+}
+
+module.exports = unpackPackage;
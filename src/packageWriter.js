@@ -0,0 +1,114 @@
+const JSZip = require('jszip');
+const { openFile, isSignatureFile, compareSignatureFiles } = require('./packageReader.js');
+
+// 1980-01-01, the earliest date a zip entry can hold.
+const DEFAULT_EPOCH = 315532800;
+
+const FILE_PERMISSIONS = 0o100644;
+const DIRECTORY_PERMISSIONS = 0o40755;
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {boolean} [reproducible] - Produce the same archive for the same files: sorted entries, fixed timestamps and permissions
+ * @property {Date} [date] - Timestamp of every entry in reproducible mode. Defaults to SOURCE_DATE_EPOCH or 1980-01-01
+ */
+
+/**
+ * Gets the timestamp used for reproducible packages.
+ * @returns {Date}
+ */
+
+function getReproducibleDate() {
+    const epoch = process.env.SOURCE_DATE_EPOCH;
+    if (epoch === undefined || epoch === '') return new Date(DEFAULT_EPOCH * 1000);
+
+    if (!/^\d+$/.test(epoch)) {
+        throw new Error(`Invalid SOURCE_DATE_EPOCH: ${epoch}`);
+    }
+    // Zip entries can't go back further than 1980.
+    return new Date(Math.max(Number(epoch), DEFAULT_EPOCH) * 1000);
+}
+
+/**
+ * Sorts files by their path, keeping the signature files in front in the order they were signed.
+ * @param {Array<import('./packageSigner.js').File>} files
+ * @returns {Array<import('./packageSigner.js').File>}
+ */
+
+function sortFiles(files) {
+    const paths = new Map(files.map(file => [file, decodeURIComponent(file.uri)]));
+    return files.slice().sort((a, b) => {
+        const aSignature = isSignatureFile(paths.get(a));
+        const bSignature = isSignatureFile(paths.get(b));
+        if (aSignature !== bSignature) return aSignature ? -1 : 1;
+        if (aSignature) return compareSignatureFiles(paths.get(a), paths.get(b));
+        // Plain code unit comparison, so the order doesn't depend on the locale.
+        if (paths.get(a) === paths.get(b)) return 0;
+        return paths.get(a) < paths.get(b) ? -1 : 1;
+    });
+}
+
+/**
+ * Zips the files of a package as a stream.
+ * Entries are read one at a time and written with data descriptors, so nothing has to be held in memory.
+ * @param {Array<import('./packageSigner.js').File>} files
+ * @param {WriteOptions} [options]
+ * @returns {import('stream').Readable}
+ */
+
+function writePackageStream(files, options = {}) {
+    const zip = new JSZip();
+
+    if (!options.reproducible) {
+        files.forEach(file => {
+            zip.file(decodeURIComponent(file.uri), openFile(file));
+        });
+
+        return zip.generateNodeStream({ type: 'nodebuffer', compression: 'DEFLATE', streamFiles: true });
+    }
+
+    const date = options.date || getReproducibleDate();
+    const directories = new Set();
+
+    for (const file of sortFiles(files)) {
+        const path = decodeURIComponent(file.uri);
+
+        // JSZip would stamp the current time on folders it creates itself.
+        const parts = path.split('/').slice(0, -1);
+        for (let i = 1; i <= parts.length; i++) {
+            const directory = `${parts.slice(0, i).join('/')}/`;
+            if (directories.has(directory)) continue;
+            directories.add(directory);
+            zip.file(directory, null, { dir: true, date, unixPermissions: DIRECTORY_PERMISSIONS, createFolders: false });
+        }
+
+        zip.file(path, openFile(file), { date, unixPermissions: FILE_PERMISSIONS, createFolders: false });
+    }
+
+    return zip.generateNodeStream({ type: 'nodebuffer', compression: 'DEFLATE', platform: 'UNIX', streamFiles: true });
+}
+
+/**
+ * Zips the files of a package into a Buffer.
+ * @param {Array<import('./packageSigner.js').File>} files
+ * @param {WriteOptions} [options]
+ * @returns {Promise<Buffer>}
+ */
+
+function writePackage(files, options = {}) {
+    // JSZip's stream isn't async iterable, so collect it with events.
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        writePackageStream(files, options)
+            .on('data', chunk => chunks.push(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+module.exports = {
+    writePackage,
+    writePackageStream,
+    sortFiles,
+    getReproducibleDate
+};
@@ -0,0 +1,100 @@
+const readline = require('readline');
+const { Writable } = require('stream');
+const { readFileSync } = require('fs');
+const CredentialStore = require('./credentialStore.js');
+
+let masterPassword;
+
+/**
+ * Asks for a password on the terminal without echoing it.
+ * @param {string} label - Such as "Password for the author certificate"
+ * @returns {Promise<string>}
+ */
+
+function promptPassword(label) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`${label} is needed, but there is no terminal to ask for it. Pass it as env:VAR or file:/path instead`));
+    }
+
+    let muted = false;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) process.stderr.write(chunk);
+            callback();
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+        rl.on('SIGINT', () => {
+            rl.close();
+            process.stderr.write('\n');
+            reject(new Error('Cancelled'));
+        });
+
+        process.stderr.write(`${label}: `);
+        muted = true;
+        rl.question('', answer => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Resolves a password given on the command line or in a signing profile:
+ * - `env:VAR` reads the environment variable VAR
+ * - `file:/path` reads the first line of a file
+ * - `store:NAME` reads NAME from the credential store, unlocked with TIZENJS_MASTER_PASSWORD or a prompt
+ * - `prompt`, or no value at all, asks on the terminal
+ * - `pass:text` and anything else is the password itself
+ * @param {string} [value]
+ * @param {Object} [options]
+ * @param {string} [options.label] - Shown when prompting, defaults to "Password"
+ * @param {string} [options.configDir] - Where the credential store is, defaults to TIZENJS_CONFIG_DIR or ~/.tizenjs
+ * @returns {Promise<string>}
+ */
+
+async function resolvePassword(value, options = {}) {
+    const label = options.label || 'Password';
+
+    if (value === undefined || value === 'prompt') return promptPassword(label);
+
+    if (value.startsWith('pass:')) return value.slice('pass:'.length);
+
+    if (value.startsWith('env:')) {
+        const name = value.slice('env:'.length);
+        if (process.env[name] === undefined) throw new Error(`${label}: environment variable ${name} is not set`);
+        return process.env[name];
+    }
+
+    if (value.startsWith('file:')) {
+        return readFileSync(value.slice('file:'.length), 'utf-8').split(/\r?\n/)[0];
+    }
+
+    if (value.startsWith('store:')) {
+        const store = new CredentialStore({ configDir: options.configDir });
+        store.unlock(await getMasterPassword());
+        return store.get(value.slice('store:'.length));
+    }
+
+    return value;
+}
+
+/**
+ * Gets the master password of the credential store from TIZENJS_MASTER_PASSWORD, or asks for it once per process.
+ * @returns {Promise<string>}
+ */
+
+async function getMasterPassword() {
+    if (process.env.TIZENJS_MASTER_PASSWORD !== undefined) return process.env.TIZENJS_MASTER_PASSWORD;
+    if (masterPassword === undefined) masterPassword = await promptPassword('Master password');
+    return masterPassword;
+}
+
+module.exports = {
+    promptPassword,
+    resolvePassword,
+    getMasterPassword
+};
@@ -0,0 +1,237 @@
+const http = require('http');
+const { randomBytes } = require('crypto');
+const { spawn } = require('child_process');
+const { readFileSync, writeFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const { getConfigDirectory } = require('./config.js');
+
+const SIGN_IN_URL = 'https://account.samsung.com/accounts/TDC/signInGate';
+const CLIENT_ID = 'v285zxnl3h';
+const CALLBACK_PATH = '/signin/callback';
+const DEFAULT_PORT = 4794;
+
+/**
+ * @typedef {Object} AccessInfo
+ * @property {string} accessToken - The access token for the Samsung account
+ * @property {string} userId - The user ID for the Samsung account
+ * @property {number} [expiresAt] - When the token expires, in milliseconds since the epoch
+ */
+
+/**
+ * Converts the response of the Samsung sign in page to AccessInfo.
+ * @param {Object} response - Such as { access_token, userId, access_token_expires_in }
+ * @returns {AccessInfo}
+ */
+
+function toAccessInfo(response) {
+    const accessToken = response.access_token || response.accessToken;
+    const userId = response.userId || response.user_id;
+    if (!accessToken || !userId) {
+        throw new Error('The response has no access_token or userId');
+    }
+
+    const expiresIn = Number(response.access_token_expires_in || response.expires_in);
+    const accessInfo = { accessToken, userId };
+    if (response.expiresAt) {
+        accessInfo.expiresAt = Number(response.expiresAt);
+    } else if (expiresIn) {
+        accessInfo.expiresAt = Date.now() + expiresIn * 1000;
+    }
+    return accessInfo;
+}
+
+function openBrowser(url) {
+    const command = process.platform === 'win32' ? 'cmd' : process.platform === 'darwin' ? 'open' : 'xdg-open';
+    const args = process.platform === 'win32' ? ['/c', 'start', '""', url] : [url];
+    try {
+        const child = spawn(command, args, { stdio: 'ignore', detached: true });
+        child.on('error', () => { });
+        child.unref();
+    } catch (error) {
+        // The URL is printed as well, opening it is only a convenience.
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        request.on('error', reject);
+    });
+}
+
+// The sign in page can redirect with a query, or post a form or JSON. The token may also be wrapped in a "code" field.
+async function parseCallback(request) {
+    const url = new URL(request.url, 'http://localhost');
+    let fields = Object.fromEntries(url.searchParams);
+
+    if (request.method === 'POST') {
+        const body = await readBody(request);
+        const type = request.headers['content-type'] || '';
+        fields = { ...fields, ...(type.includes('application/json') ? JSON.parse(body) : Object.fromEntries(new URLSearchParams(body))) };
+    }
+
+    if (typeof fields.code === 'string' && fields.code.trim().startsWith('{')) {
+        fields = { ...fields, ...JSON.parse(fields.code) };
+    }
+    return fields;
+}
+
+/**
+ * Signs in to a Samsung account to get the access token needed for Samsung certificates.
+ */
+
+class SamsungAccount {
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port] - Port of the local callback listener, defaults to 4794. Use 0 for a random port
+     * @param {number} [options.timeout] - Milliseconds to wait for the sign in, defaults to 5 minutes
+     * @param {string} [options.configDir] - Where the token is cached, defaults to TIZENJS_CONFIG_DIR or ~/.tizenjs
+     */
+    constructor(options = {}) {
+        this.port = options.port === undefined ? DEFAULT_PORT : options.port;
+        this.timeout = options.timeout || 5 * 60 * 1000;
+        this.configDir = options.configDir;
+    }
+
+    get tokenCachePath() {
+        return join(getConfigDirectory(this.configDir), 'samsung-token.json');
+    }
+
+    /**
+     * Builds the sign in URL, redirecting to the local listener.
+     * @param {string} redirectUri
+     * @param {string} state
+     * @returns {string}
+     */
+
+    getSignInUrl(redirectUri, state) {
+        const url = new URL(SIGN_IN_URL);
+        url.searchParams.set('clientId', CLIENT_ID);
+        url.searchParams.set('tokenType', 'TOKEN');
+        url.searchParams.set('redirect_uri', redirectUri);
+        url.searchParams.set('state', state);
+        return url.toString();
+    }
+
+    /**
+     * Starts a listener on localhost and waits for the sign in page to redirect to it.
+     * Requests without the state of this sign in get an error response and are otherwise ignored.
+     * @param {Object} [options]
+     * @param {boolean} [options.open] - Open the sign in URL in a browser
+     * @param {function(string): void} [options.onUrl] - Called with the sign in URL once the listener is ready
+     * @returns {Promise<AccessInfo>}
+     */
+
+    login(options = {}) {
+        const state = randomBytes(16).toString('hex');
+
+        return new Promise((resolve, reject) => {
+            let timer;
+            const server = http.createServer(async (request, response) => {
+                if (!request.url.startsWith(CALLBACK_PATH)) {
+                    response.writeHead(404).end();
+                    return;
+                }
+
+                let fields;
+                try {
+                    fields = await parseCallback(request);
+                } catch (error) {
+                    response.writeHead(400, { 'Content-Type': 'text/plain' }).end(`Sign in failed: malformed callback (${error.message})`);
+                    return;
+                }
+
+                // Anything on this machine can call the listener, only the redirect of the sign in page has the state.
+                if (fields.state !== state) {
+                    response.writeHead(400, { 'Content-Type': 'text/plain' }).end('Sign in failed: the state doesn\'t match this sign in');
+                    return;
+                }
+
+                try {
+                    const accessInfo = toAccessInfo(fields);
+                    response.writeHead(200, { 'Content-Type': 'text/plain' }).end('Signed in, you can close this window.');
+                    finish(null, accessInfo);
+                } catch (error) {
+                    response.writeHead(400, { 'Content-Type': 'text/plain' }).end(`Sign in failed: ${error.message}`);
+                    finish(error);
+                }
+            });
+
+            function finish(error, accessInfo) {
+                clearTimeout(timer);
+                server.close();
+                if (error) reject(error);
+                else resolve(accessInfo);
+            }
+
+            server.on('error', reject);
+            server.listen(this.port, '127.0.0.1', () => {
+                const redirectUri = `http://localhost:${server.address().port}${CALLBACK_PATH}`;
+                const url = this.getSignInUrl(redirectUri, state);
+
+                timer = setTimeout(() => finish(new Error('Timed out waiting for the sign in')), this.timeout);
+                if (options.onUrl) options.onUrl(url);
+                if (options.open) openBrowser(url);
+            });
+        });
+    }
+
+    /**
+     * Reads a token from a file, such as the JSON response of the sign in page.
+     * @param {string} path
+     * @returns {AccessInfo}
+     */
+
+    static readTokenFile(path) {
+        let response;
+        try {
+            response = JSON.parse(readFileSync(path, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Invalid token file ${path}: ${error.message}`);
+        }
+
+        const accessInfo = toAccessInfo(response);
+        if (accessInfo.expiresAt && accessInfo.expiresAt <= Date.now()) {
+            throw new Error(`The token in ${path} has expired`);
+        }
+        return accessInfo;
+    }
+
+    /**
+     * Saves a token, readable only by the current user.
+     * @param {string} path
+     * @param {AccessInfo} accessInfo
+     */
+
+    static writeTokenFile(path, accessInfo) {
+        writeFileSync(path, JSON.stringify(accessInfo, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * Uses the cached token while it's valid, otherwise signs in and caches the new one.
+     * Tokens without a known expiry aren't cached.
+     * @param {Object} [options] - Same as login()
+     * @returns {Promise<AccessInfo>}
+     */
+
+    async getAccessInfo(options = {}) {
+        const cachePath = this.tokenCachePath;
+        if (existsSync(cachePath)) {
+            try {
+                const accessInfo = SamsungAccount.readTokenFile(cachePath);
+                if (accessInfo.expiresAt) return accessInfo;
+            } catch (error) {
+                // Expired or broken, sign in again.
+            }
+        }
+
+        const accessInfo = await this.login(options);
+        if (accessInfo.expiresAt) SamsungAccount.writeTokenFile(cachePath, accessInfo);
+        return accessInfo;
+    }
+}
+
+module.exports = SamsungAccount;
@@ -3,9 +3,49 @@ const fetch = require('node-fetch');
 const { join, basename } = require('path');
 const JSZip = require('jszip');
 const FormData = require('form-data');
-const { readFileSync, mkdirSync, writeFileSync, existsSync } = require('fs');
+const { readFileSync, mkdirSync, writeFileSync, existsSync, statSync, readdirSync } = require('fs');
 const { DOMParser } = require('@xmldom/xmldom');
-const { homedir } = require('os');
+const { getCertificateRoot, writeChecksums, verifyChecksums, checkArchiveChecksum } = require('./certificateDirectory.js');
+const { loadPkcs12, getCertificates, getDeviceIds, getFingerprint } = require('./certificateInfo.js');
+const { getKeyOptions, createDigest } = require('./keyOptions.js');
+
+const REQUIRED_FILES = ['vd_tizen_dev_author_ca.cer', 'vd_tizen_dev_public2.crt', 'vd_tizen_dev_partner2.crt'];
+
+const isCertificate = fileName => fileName.endsWith('.crt') || fileName.endsWith('.cer');
+const isArchive = fileName => fileName.endsWith('.zip') || fileName.endsWith('.jar');
+
+// The extension zip holds an add-on zip, which holds a jar with the certificates. Look through all of them.
+async function collectCertificates(zip, certificates) {
+    for (const fileName of Object.keys(zip.files)) {
+        if (zip.files[fileName].dir) continue;
+
+        if (isCertificate(fileName)) {
+            certificates.set(basename(fileName), await zip.files[fileName].async('nodebuffer'));
+        } else if (isArchive(fileName)) {
+            const nested = await JSZip.loadAsync(await zip.files[fileName].async('nodebuffer'));
+            await collectCertificates(nested, certificates);
+        }
+    }
+    return certificates;
+}
+
+// Looks for the certificates in an unpacked extension or a Tizen Studio install.
+async function collectDirectoryCertificates(directory, certificates, depth = 6) {
+    for (const file of readdirSync(directory)) {
+        const filePath = join(directory, file);
+        const stat = statSync(filePath);
+
+        if (stat.isDirectory()) {
+            if (depth > 0) await collectDirectoryCertificates(filePath, certificates, depth - 1);
+        } else if (isCertificate(file) && file.startsWith('vd_')) {
+            certificates.set(file, readFileSync(filePath));
+        } else if (isArchive(file) && /cert/i.test(file)) {
+            // Tizen Studio has thousands of plugin jars, only open the certificate related ones.
+            await collectCertificates(await JSZip.loadAsync(readFileSync(filePath)), certificates);
+        }
+    }
+    return certificates;
+}
 
 /**
  * @typedef {Object} AuthorInfo
@@ -18,9 +58,22 @@ const { homedir } = require('os');
  * @property {string} organization - The organization of the author
  * @property {string} department - The department of the author
  * @property {string} privilegeLevel - The privilege level of the distributor certificate
+ * @property {number} [keySize=2048] - RSA key size in bits, at least 2048
+ * @property {string} [digest="sha512"] - Digest the certificate requests are signed with: "sha256", "sha384" or "sha512".
+ * Samsung picks the validity and serial number of the certificates it issues
  */
 
 
+/**
+ * @typedef {Object} UpdateDistributorOptions
+ * @property {Buffer|string} [existingDistributor] - The current distributor .p12, its DUIDs are kept and its privilege level is reused
+ * @property {string} [distributorPassword] - Password of the current distributor .p12, defaults to the author password
+ * @property {string} [email] - Email for the distributor certificate, defaults to the one in the existing certificates
+ * @property {string} [privilegeLevel] - "Public" or "Partner", defaults to the level of the existing distributor or "Public"
+ * @property {number} [keySize=2048] - RSA key size of the new distributor key
+ * @property {string} [digest="sha512"] - Digest the certificate request is signed with
+ */
+
 /**
  * @typedef {Object} AccessInfo
  * @property {string} accessToken - The access token for the Samsung account
@@ -28,10 +81,20 @@ const { homedir } = require('os');
  */
 
 class SamsungCertificateCreator {
-    constructor() { }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.certDir] - Directory to cache the certificates in. Defaults to TIZENJS_CERT_DIR or ~/share
+     */
+    constructor(options = {}) {
+        this.certDir = join(getCertificateRoot(options.certDir), '.samsung-cert');
+    }
 
     async _downloadVDCertificates() {
-        if (existsSync(join(homedir(), 'share/.samsung-cert'))) return;
+        if (existsSync(this.certDir)) {
+            verifyChecksums(this.certDir);
+            return;
+        }
 
         let buffer;
         try {
@@ -67,24 +130,49 @@ class SamsungCertificateCreator {
         }
 
         const zip = await JSZip.loadAsync(buffer);
+        this._writeVDCertificates(await collectCertificates(zip, new Map()));
+    }
 
-        const addonFileName = Object.keys(zip.files).find(name => name.endsWith('.zip'));
-        const addonFileBuffer = await zip.files[addonFileName].async('nodebuffer');
-        const addonFileZip = await JSZip.loadAsync(addonFileBuffer);
+    /**
+     * @param {Map<string, Buffer>} certificates
+     */
 
-        const jarFileName = Object.keys(addonFileZip.files).find(name => name.endsWith('.jar'));
-        const jarFileBuffer = await addonFileZip.files[jarFileName].async('nodebuffer');
-        const jarZip = await JSZip.loadAsync(jarFileBuffer);
+    _writeVDCertificates(certificates) {
+        const missing = REQUIRED_FILES.filter(file => !certificates.has(file));
+        if (missing.length) {
+            throw new Error(`Samsung certificates not found, missing ${missing.join(', ')}`);
+        }
 
-        mkdirSync(`${homedir()}/share/.samsung-cert`, { recursive: true });
+        mkdirSync(this.certDir, { recursive: true });
 
-        for (const fileName of Object.keys(jarZip.files)) {
-            if (fileName.endsWith('.crt') || fileName.endsWith('.cer')) {
-                const filePath = join(homedir(), 'share/.samsung-cert', basename(fileName));
-                const content = await jarZip.files[fileName].async('nodebuffer');
-                writeFileSync(filePath, content);
-            }
+        for (const [fileName, content] of certificates) {
+            writeFileSync(join(this.certDir, fileName), content);
+        }
+
+        writeChecksums(this.certDir);
+    }
+
+    /**
+     * Imports the certificates without internet access, from an already downloaded
+     * tizen-certificate-extension zip or an existing Tizen Studio install.
+     * @param {string} source - Path to the zip or the Tizen Studio directory
+     * @param {Object} [options]
+     * @param {string} [options.sha256] - Expected SHA-256 of the zip, required for zips
+     * @returns {Promise<string>} The directory the certificates were imported into
+     */
+
+    async importCertificates(source, options = {}) {
+        let certificates;
+        if (statSync(source).isDirectory()) {
+            certificates = await collectDirectoryCertificates(source, new Map());
+        } else {
+            const buffer = readFileSync(source);
+            checkArchiveChecksum(buffer, options.sha256);
+            certificates = await collectCertificates(await JSZip.loadAsync(buffer), new Map());
         }
+
+        this._writeVDCertificates(certificates);
+        return this.certDir;
     }
 
     /**
@@ -93,7 +181,8 @@ class SamsungCertificateCreator {
      */
 
     _generateAuthorCert(authorInfo) {
-        const key = forge.pki.rsa.generateKeyPair(2048);
+        const keyOptions = getKeyOptions(authorInfo);
+        const key = forge.pki.rsa.generateKeyPair(keyOptions.keySize);
         const csr = forge.pki.createCertificationRequest();
         csr.publicKey = key.publicKey;
         csr.setSubject([
@@ -105,7 +194,7 @@ class SamsungCertificateCreator {
 
         const privateKey = forge.pki.privateKeyToPem(key.privateKey);
 
-        csr.sign(key.privateKey, forge.md.sha512.create());
+        csr.sign(key.privateKey, createDigest(keyOptions.digest));
         const csrPem = forge.pki.certificationRequestToPem(csr);
 
         return {
@@ -121,7 +210,8 @@ class SamsungCertificateCreator {
      */
 
     _generateDistributorCert(authorInfo, duidList) {
-        const key = forge.pki.rsa.generateKeyPair(2048);
+        const keyOptions = getKeyOptions(authorInfo);
+        const key = forge.pki.rsa.generateKeyPair(keyOptions.keySize);
         const csr = forge.pki.createCertificationRequest();
         csr.publicKey = key.publicKey;
 
@@ -162,7 +252,7 @@ class SamsungCertificateCreator {
 
         const privateKey = forge.pki.privateKeyToPem(key.privateKey);
 
-        csr.sign(key.privateKey, forge.md.sha512.create());
+        csr.sign(key.privateKey, createDigest(keyOptions.digest));
         const csrPem = forge.pki.certificationRequestToPem(csr);
 
         return {
@@ -236,7 +326,7 @@ class SamsungCertificateCreator {
     }
 
     _generateAuthorPKCS12(authorCert, vdAuthorCert, authorInfo) {
-        const vdTizenAuthorCer = readFileSync(join(homedir(), 'share/.samsung-cert', 'vd_tizen_dev_author_ca.cer'), 'utf-8');
+        const vdTizenAuthorCer = readFileSync(join(this.certDir, 'vd_tizen_dev_author_ca.cer'), 'utf-8');
         const privateKey = forge.pki.privateKeyFromPem(authorCert.privateKey);
 
         const authorCertArray = [vdAuthorCert, vdTizenAuthorCer];
@@ -252,8 +342,8 @@ class SamsungCertificateCreator {
 
     _generateDistributorPKCS12(distributorCert, vdDistributorCert, authorInfo) {
         const vdTizenPrivilegeCer = authorInfo.privilegeLevel === 'Public' ?
-            readFileSync(join(homedir(), 'share/.samsung-cert', 'vd_tizen_dev_public2.crt'), 'utf-8') :
-            readFileSync(join(homedir(), 'share/.samsung-cert', 'vd_tizen_dev_partner2.crt'), 'utf-8');
+            readFileSync(join(this.certDir, 'vd_tizen_dev_public2.crt'), 'utf-8') :
+            readFileSync(join(this.certDir, 'vd_tizen_dev_partner2.crt'), 'utf-8');
 
         const privateKey = forge.pki.privateKeyFromPem(distributorCert.privateKey);
         const distributorCertArray = [vdDistributorCert, vdTizenPrivilegeCer];
@@ -291,6 +381,74 @@ class SamsungCertificateCreator {
             distributorXML: distributorXMLVD
         }
     }
+
+    /**
+     * Re-issues only the distributor certificate and device profile, for example to add DUIDs.
+     * The author certificate is left untouched, so installed apps can still be upgraded.
+     * @param {Buffer|string} existingAuthorP12 - The current author .p12
+     * @param {string} password - Password of the author .p12, the new distributor .p12 uses it too
+     * @param {AccessInfo} accessInfo
+     * @param {Array<string>} duidList - DUIDs to add
+     * @param {UpdateDistributorOptions} [options]
+     * @returns {Promise<Object>}
+     */
+
+    async updateDistributor(existingAuthorP12, password, accessInfo, duidList, options = {}) {
+        await this._downloadVDCertificates();
+
+        // Also makes sure the password is right before anything is requested.
+        const authorCert = getCertificates(loadPkcs12(existingAuthorP12, password))[0];
+        if (!authorCert) throw new Error('The author .p12 has no certificate');
+
+        let existingChain = [];
+        if (options.existingDistributor) {
+            existingChain = getCertificates(loadPkcs12(options.existingDistributor, options.distributorPassword || password));
+            if (!existingChain.length) throw new Error('The distributor .p12 has no certificate');
+        }
+
+        const mergedDuids = [...new Set([...(existingChain.length ? getDeviceIds(existingChain[0]) : []), ...duidList])];
+        if (!mergedDuids.length) throw new Error('No DUIDs given');
+
+        const emailField = [existingChain[0], authorCert]
+            .map(cert => cert && cert.subject.getField('E'))
+            .find(Boolean);
+
+        const authorInfo = {
+            email: options.email || (emailField && emailField.value),
+            privilegeLevel: options.privilegeLevel || this._getPrivilegeLevel(existingChain),
+            password,
+            keySize: options.keySize,
+            digest: options.digest
+        };
+
+        if (!authorInfo.email) throw new Error('No email found in the existing certificates, please provide one');
+        if (authorInfo.privilegeLevel !== 'Public' && authorInfo.privilegeLevel !== 'Partner') {
+            throw new Error('Invalid privilege level');
+        }
+
+        const distributorCert = this._generateDistributorCert(authorInfo, mergedDuids);
+        const distributorXMLVD = await this._fetchDistributorCert(accessInfo, authorInfo, distributorCert);
+        const distributorCertVD = await this._fetchDistributorCert(accessInfo, authorInfo, distributorCert);
+        const vdDistributorCert = await this._generateDistributorPKCS12(distributorCert, distributorCertVD, authorInfo);
+
+        return {
+            distributorCert: vdDistributorCert,
+            distributorXML: distributorXMLVD,
+            duidList: mergedDuids
+        }
+    }
+
+    /**
+     * Finds the privilege level of a distributor by its intermediate certificate.
+     * @param {Array<forge.pki.Certificate>} chain
+     * @returns {string}
+     */
+
+    _getPrivilegeLevel(chain) {
+        const partner = forge.pki.certificateFromPem(readFileSync(join(this.certDir, 'vd_tizen_dev_partner2.crt'), 'utf-8'));
+        const partnerFingerprint = getFingerprint(partner);
+        return chain.some(cert => getFingerprint(cert) === partnerFingerprint) ? 'Partner' : 'Public';
+    }
 }
 
 module.exports = SamsungCertificateCreator;
\ No newline at end of file
@@ -0,0 +1,440 @@
+const net = require('net');
+const { createReadStream, statSync } = require('fs');
+const { basename } = require('path');
+
+// sdb is a fork of adb, it speaks the same protocol with a larger payload.
+const A_CNXN = 0x4e584e43;
+const A_OPEN = 0x4e45504f;
+const A_OKAY = 0x59414b4f;
+const A_CLSE = 0x45534c43;
+const A_WRTE = 0x45545257;
+const A_VERSION = 0x02000000;
+const MAX_PAYLOAD = 256 * 1024;
+const HEADER_SIZE = 24;
+
+// The sync service limits DATA chunks to 64KiB.
+const SYNC_DATA_MAX = 64 * 1024;
+
+const DEFAULT_PORT = 26101;
+const REMOTE_TMP_DIR = '/home/owner/share/tmp/sdk_tools/tmp';
+const DEVICE_PROFILE_PATH = '/home/owner/share/tmp/sdk_tools/device-profile.xml';
+
+function createPacket(command, arg0, arg1, data = Buffer.alloc(0)) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    let checksum = 0;
+    for (const byte of data) checksum = (checksum + byte) >>> 0;
+
+    header.writeUInt32LE(command, 0);
+    header.writeUInt32LE(arg0, 4);
+    header.writeUInt32LE(arg1, 8);
+    header.writeUInt32LE(data.length, 12);
+    header.writeUInt32LE(checksum, 16);
+    header.writeUInt32LE((command ^ 0xffffffff) >>> 0, 20);
+    return Buffer.concat([header, data]);
+}
+
+function createSyncPacket(id, data) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    if (Buffer.isBuffer(data)) {
+        header.writeUInt32LE(data.length, 4);
+        return Buffer.concat([header, data]);
+    }
+    header.writeUInt32LE(data, 4);
+    return header;
+}
+
+/**
+ * A service opened on the device, such as a shell command or a file transfer.
+ */
+
+class SdbStream {
+    constructor(device, localId) {
+        this.device = device;
+        this.localId = localId;
+        this.remoteId = null;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+        this.error = null;
+        this._acknowledge = null;
+        this._wakeUp = [];
+    }
+
+    _notify() {
+        const waiting = this._wakeUp;
+        this._wakeUp = [];
+        waiting.forEach(resolve => resolve());
+    }
+
+    _wait() {
+        return new Promise(resolve => this._wakeUp.push(resolve));
+    }
+
+    _onOkay(remoteId) {
+        this.remoteId = remoteId;
+        if (this._acknowledge) {
+            const acknowledge = this._acknowledge;
+            this._acknowledge = null;
+            acknowledge.resolve();
+        }
+    }
+
+    _onWrite(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        // A lost connection closes the stream, so the failed acknowledgement itself can be ignored.
+        this.device._send(A_OKAY, this.localId, this.remoteId).catch(() => { });
+        this._notify();
+    }
+
+    _onClose(error) {
+        this.closed = true;
+        this.error = this.error || error || null;
+        if (this._acknowledge) {
+            this._acknowledge.reject(this.error || new Error('Stream closed by the device'));
+            this._acknowledge = null;
+        }
+        this._notify();
+    }
+
+    _expectOkay() {
+        return new Promise((resolve, reject) => {
+            this._acknowledge = { resolve, reject };
+        });
+    }
+
+    /**
+     * Writes to the service, waiting for the device to acknowledge every packet.
+     * @param {Buffer} data
+     */
+
+    async write(data) {
+        for (let offset = 0; offset < data.length; offset += this.device.maxPayload) {
+            if (this.closed) throw this.error || new Error('Stream closed by the device');
+            await Promise.all([
+                this._expectOkay(),
+                this.device._send(A_WRTE, this.localId, this.remoteId, data.subarray(offset, offset + this.device.maxPayload))
+            ]);
+        }
+    }
+
+    /**
+     * Reads exactly the given amount of bytes.
+     * @param {number} length
+     * @returns {Promise<Buffer>}
+     */
+
+    async read(length) {
+        while (this.buffer.length < length) {
+            if (this.closed) throw this.error || new Error('Stream closed by the device');
+            await this._wait();
+        }
+
+        const data = this.buffer.subarray(0, length);
+        this.buffer = this.buffer.subarray(length);
+        return data;
+    }
+
+    /**
+     * Reads until the device closes the service.
+     * @returns {Promise<Buffer>}
+     */
+
+    async readAll() {
+        while (!this.closed) await this._wait();
+        if (this.error) throw this.error;
+
+        const data = this.buffer;
+        this.buffer = Buffer.alloc(0);
+        return data;
+    }
+
+    close() {
+        if (this.closed) return;
+        this.device._send(A_CLSE, this.localId, this.remoteId).catch(() => { });
+        this.device._streams.delete(this.localId);
+        this._onClose();
+    }
+}
+
+/**
+ * A Tizen device reachable over the network, talking to its sdbd directly.
+ */
+
+class Device {
+
+    /**
+     * @param {string} host - IP address or host name of the device
+     * @param {Object} [options]
+     * @param {number} [options.port] - Port of sdbd, defaults to 26101
+     * @param {number} [options.timeout] - Milliseconds to wait for the connection, defaults to 10000
+     */
+    constructor(host, options = {}) {
+        this.host = host;
+        this.port = options.port || DEFAULT_PORT;
+        this.timeout = options.timeout || 10000;
+        this.maxPayload = MAX_PAYLOAD;
+        this.banner = null;
+        this.socket = null;
+        this._buffer = Buffer.alloc(0);
+        this._streams = new Map();
+        this._nextId = 1;
+        this._connected = null;
+    }
+
+    /**
+     * Parses a "host[:port]" target.
+     * @param {string} target
+     * @returns {Device}
+     */
+
+    static fromTarget(target) {
+        const [host, port] = target.split(':');
+        return new Device(host, { port: port ? Number(port) : undefined });
+    }
+
+    /**
+     * Connects and exchanges the CNXN handshake with the device.
+     * @returns {Promise<string>} The banner of the device
+     */
+
+    connect() {
+        if (this._connected) return this._connected.promise;
+
+        const connected = {};
+        connected.promise = new Promise((resolve, reject) => Object.assign(connected, { resolve, reject }));
+        this._connected = connected;
+        this._buffer = Buffer.alloc(0);
+
+        const timer = setTimeout(() => {
+            this._fail(new Error(`Timed out connecting to ${this.host}:${this.port}`));
+        }, this.timeout);
+        connected.promise.then(() => clearTimeout(timer), () => clearTimeout(timer));
+
+        const socket = net.connect(this.port, this.host, () => {
+            this._send(A_CNXN, A_VERSION, MAX_PAYLOAD, Buffer.from('host::\0')).catch(error => this._fail(error));
+        });
+        this.socket = socket;
+
+        // Events of a socket from an earlier connection are ignored.
+        socket.on('data', chunk => this.socket === socket && this._onData(chunk));
+        socket.on('error', error => this.socket === socket && this._fail(error));
+        socket.on('close', () => this.socket === socket && this._fail(new Error('Connection closed by the device')));
+
+        return connected.promise;
+    }
+
+    _fail(error) {
+        if (this._connected) this._connected.reject(error);
+        for (const stream of this._streams.values()) stream._onClose(error);
+        this._streams.clear();
+        if (this.socket) this.socket.destroy();
+        this.socket = null;
+        this._connected = null;
+    }
+
+    /**
+     * Sends a packet, resolving once it's written to the socket.
+     * @returns {Promise<void>}
+     */
+
+    _send(command, arg0, arg1, data) {
+        const socket = this.socket;
+        if (!socket) return Promise.reject(new Error(`Not connected to ${this.host}:${this.port}`));
+
+        return new Promise((resolve, reject) => {
+            socket.write(createPacket(command, arg0, arg1, data), error => error ? reject(error) : resolve());
+        });
+    }
+
+    _onData(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+
+        while (this._buffer.length >= HEADER_SIZE) {
+            const length = this._buffer.readUInt32LE(12);
+            if (this._buffer.length < HEADER_SIZE + length) return;
+
+            const packet = {
+                command: this._buffer.readUInt32LE(0),
+                arg0: this._buffer.readUInt32LE(4),
+                arg1: this._buffer.readUInt32LE(8),
+                data: this._buffer.subarray(HEADER_SIZE, HEADER_SIZE + length)
+            };
+            this._buffer = this._buffer.subarray(HEADER_SIZE + length);
+            this._dispatch(packet);
+        }
+    }
+
+    _dispatch(packet) {
+        if (packet.command === A_CNXN) {
+            this.maxPayload = Math.min(packet.arg1 || MAX_PAYLOAD, MAX_PAYLOAD);
+            this.banner = packet.data.toString().replace(/\0+$/, '');
+            if (this._connected) this._connected.resolve(this.banner);
+            return;
+        }
+
+        const stream = this._streams.get(packet.arg1);
+        if (!stream) return;
+
+        switch (packet.command) {
+            case A_OKAY:
+                stream._onOkay(packet.arg0);
+                break;
+            case A_WRTE:
+                stream._onWrite(packet.data);
+                break;
+            case A_CLSE:
+                this._streams.delete(stream.localId);
+                stream._onClose(stream.remoteId === null ? new Error('The device refused to open the service') : null);
+                break;
+        }
+    }
+
+    /**
+     * Opens a service on the device.
+     * @param {string} service - Such as "shell:ls" or "sync:"
+     * @returns {Promise<SdbStream>}
+     */
+
+    async _open(service) {
+        await this.connect();
+
+        const stream = new SdbStream(this, this._nextId++);
+        this._streams.set(stream.localId, stream);
+        try {
+            await Promise.all([stream._expectOkay(), this._send(A_OPEN, stream.localId, 0, Buffer.from(`${service}\0`))]);
+        } catch (error) {
+            this._streams.delete(stream.localId);
+            throw error;
+        }
+        return stream;
+    }
+
+    /**
+     * Runs a shell command on the device.
+     * @param {string} command
+     * @returns {Promise<string>} Output of the command
+     */
+
+    async shell(command) {
+        const stream = await this._open(`shell:${command}`);
+        const output = await stream.readAll();
+        return output.toString();
+    }
+
+    /**
+     * Pushes a file to the device.
+     * @param {string|Buffer} source - Path to a local file or its contents
+     * @param {string} remotePath - Path on the device
+     * @param {number} [mode] - Permissions of the file, defaults to 0644
+     */
+
+    async push(source, remotePath, mode = 0o644) {
+        const stream = await this._open('sync:');
+
+        try {
+            // S_IFREG, the mode is sent as a decimal number.
+            await stream.write(createSyncPacket('SEND', Buffer.from(`${remotePath},${0o100000 | mode}`)));
+
+            if (Buffer.isBuffer(source)) {
+                for (let offset = 0; offset < source.length; offset += SYNC_DATA_MAX) {
+                    await stream.write(createSyncPacket('DATA', source.subarray(offset, offset + SYNC_DATA_MAX)));
+                }
+            } else {
+                for await (const chunk of createReadStream(source, { highWaterMark: SYNC_DATA_MAX })) {
+                    await stream.write(createSyncPacket('DATA', chunk));
+                }
+            }
+
+            const mtime = Buffer.isBuffer(source) ? Date.now() : statSync(source).mtimeMs;
+            await stream.write(createSyncPacket('DONE', Math.floor(mtime / 1000)));
+
+            const response = await stream.read(8);
+            const id = response.toString('ascii', 0, 4);
+            if (id === 'FAIL') {
+                const message = await stream.read(response.readUInt32LE(4));
+                throw new Error(`Failed to push ${remotePath}: ${message.toString()}`);
+            } else if (id !== 'OKAY') {
+                throw new Error(`Failed to push ${remotePath}: unexpected response ${id}`);
+            }
+
+            await stream.write(createSyncPacket('QUIT', 0));
+        } finally {
+            stream.close();
+        }
+    }
+
+    /**
+     * Reads the DUID of the device, needed for Samsung distributor certificates.
+     * @returns {Promise<string>}
+     */
+
+    async getDuid() {
+        const duid = (await this.shell('0 getduid')).trim();
+        if (!duid || /\s/.test(duid)) {
+            throw new Error(`Failed to read the DUID of the device: ${duid}`);
+        }
+        return duid;
+    }
+
+    /**
+     * Pushes the device profile returned with a Samsung distributor certificate,
+     * so the device accepts packages signed with it.
+     * @param {string|Buffer} distributorXML
+     */
+
+    async pushDeviceProfile(distributorXML) {
+        await this.push(Buffer.from(distributorXML), DEVICE_PROFILE_PATH);
+    }
+
+    /**
+     * Installs a package on the device with pkgcmd.
+     * @param {string} packagePath - Path to the .wgt or .tpk
+     * @returns {Promise<string>} Output of pkgcmd
+     */
+
+    async install(packagePath) {
+        const type = packagePath.endsWith('.tpk') ? 'tpk' : 'wgt';
+        const remotePath = `${REMOTE_TMP_DIR}/${basename(packagePath).replace(/[^\w.-]/g, '_')}`;
+
+        await this.push(packagePath, remotePath);
+
+        try {
+            const output = await this.shell(`pkgcmd -i -t ${type} -p ${remotePath} -q`);
+            if (!/val\[ok\]/.test(output) || /val\[fail\]/.test(output)) {
+                throw new Error(`Failed to install ${packagePath}\n${output}`);
+            }
+            return output;
+        } finally {
+            await this.shell(`rm -f ${remotePath}`).catch(() => { });
+        }
+    }
+
+    /**
+     * Uninstalls a package from the device with pkgcmd.
+     * @param {string} packageId
+     * @returns {Promise<string>} Output of pkgcmd
+     */
+
+    async uninstall(packageId) {
+        if (!/^[\w.-]+$/.test(packageId)) {
+            throw new Error(`Invalid package ID: ${packageId}`);
+        }
+
+        const output = await this.shell(`pkgcmd -u -n ${packageId} -q`);
+        if (!/val\[ok\]/.test(output) || /val\[fail\]/.test(output)) {
+            throw new Error(`Failed to uninstall ${packageId}\n${output}`);
+        }
+        return output;
+    }
+
+    close() {
+        for (const stream of this._streams.values()) stream.close();
+        // A connection that's still being set up is given up on as well.
+        if (this._connected) this._connected.reject(new Error(`Connection to ${this.host}:${this.port} closed`));
+        if (this.socket) this.socket.end();
+        this.socket = null;
+        this._connected = null;
+    }
+}
+
+module.exports = Device;
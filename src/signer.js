@@ -0,0 +1,117 @@
+const { createSign } = require('crypto');
+const forge = require('node-forge');
+const { getCertificates, certificateFromAsn1, getKeyType } = require('./certificateInfo.js');
+
+/**
+ * A key the package can be signed with. One of:
+ * - a `forge.pkcs12.Pkcs12Pfx`
+ * - `{ privateKey, certificates }` with a PEM private key (or a crypto KeyObject) and its chain
+ * - `{ sign, certificates }` with a callback that signs the canonicalized SignedInfo, for HSM or KMS backed keys
+ * @typedef {forge.pkcs12.Pkcs12Pfx|PrivateKeySigner|CallbackSigner} SigningKey
+ */
+
+/**
+ * @typedef {Object} PrivateKeySigner
+ * @property {string|import('crypto').KeyObject} privateKey - PEM encoded private key
+ * @property {string} [passphrase] - Passphrase of an encrypted PEM key
+ * @property {Array<string|Buffer|forge.pki.Certificate>|string|Buffer} certificates - The chain, signer first. PEM may hold several certificates
+ */
+
+/**
+ * @typedef {Object} CallbackSigner
+ * @property {function(string, string): Promise<Buffer|string>} sign - Signs the canonicalized SignedInfo with the signature algorithm
+ * it's called with, such as "rsa-sha512" or "ecdsa-sha256", returning the raw signature or base64. ECDSA signatures are r || s, not DER
+ * @property {Array<string|Buffer|forge.pki.Certificate>|string|Buffer} certificates - The chain, signer first
+ */
+
+/**
+ * @typedef {Object} Signer
+ * @property {Array<forge.pki.Certificate>} certificates - The chain, signer first
+ * @property {string} keyType - Type of the signer's key, "rsa" or "ec"
+ * @property {function(string, import('./algorithms.js').SignatureAlgorithm): Promise<string>} sign - Signs the canonicalized SignedInfo, returning base64
+ */
+
+function parseCertificates(input) {
+    if (Array.isArray(input)) return input.flatMap(parseCertificates);
+    if (input && input.publicKey && input.subject) return [input];
+
+    const text = Buffer.isBuffer(input) ? input.toString('binary') : input;
+    if (typeof text !== 'string') throw new Error('Certificates must be PEM, DER or forge certificates');
+
+    if (text.includes('-----BEGIN CERTIFICATE-----')) {
+        return text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+            .map(pem => certificateFromAsn1(forge.asn1.fromDer(forge.pem.decode(pem)[0].body)));
+    }
+    return [certificateFromAsn1(forge.asn1.fromDer(forge.util.createBuffer(text)))];
+}
+
+function getPkcs12PrivateKey(pfx) {
+    for (const safeContents of pfx.safeContents) {
+        for (const bag of safeContents.safeBags) {
+            if (bag.type !== forge.pki.oids.pkcs8ShroudedKeyBag && bag.type !== forge.pki.oids.keyBag) continue;
+            if (bag.key) return forge.pki.privateKeyToPem(bag.key);
+            // forge leaves keys it can't read, such as EC ones, as PKCS#8 ASN.1
+            if (bag.asn1) return forge.pki.privateKeyInfoToPem(bag.asn1);
+        }
+    }
+    throw new Error('The PKCS#12 file has no private key');
+}
+
+// XMLDSig wants ECDSA signatures as r || s instead of DER.
+function signWithPrivateKey(privateKey, passphrase) {
+    const key = passphrase ? { key: privateKey, passphrase } : { key: privateKey };
+    return async (data, algorithm) => createSign(algorithm.hash).update(data).sign({
+        ...key,
+        dsaEncoding: algorithm.keyType === 'ec' ? 'ieee-p1363' : undefined
+    }, 'base64');
+}
+
+/**
+ * Turns any SigningKey into a Signer.
+ * @param {SigningKey} key
+ * @returns {Signer}
+ */
+
+function createSigner(key) {
+    if (!key) throw new Error('No signing key given');
+
+    if (key.safeContents) {
+        const certificates = getCertificates(key);
+        if (!certificates.length) throw new Error('The PKCS#12 file has no certificates');
+        return {
+            certificates,
+            keyType: getKeyType(certificates[0]),
+            sign: signWithPrivateKey(getPkcs12PrivateKey(key))
+        };
+    }
+
+    if (!key.certificates) throw new Error('The signing key needs certificates');
+    const certificates = parseCertificates(key.certificates);
+    if (!certificates.length) throw new Error('The signing key needs certificates');
+
+    if (typeof key.sign === 'function') {
+        return {
+            certificates,
+            keyType: getKeyType(certificates[0]),
+            sign: async (data, algorithm) => {
+                const signature = await key.sign(data, algorithm.name);
+                return Buffer.isBuffer(signature) ? signature.toString('base64') : signature.replace(/\s+/g, '');
+            }
+        };
+    }
+
+    if (key.privateKey) {
+        return {
+            certificates,
+            keyType: getKeyType(certificates[0]),
+            sign: signWithPrivateKey(key.privateKey, key.passphrase)
+        };
+    }
+
+    throw new Error('The signing key needs a privateKey or a sign function');
+}
+
+module.exports = {
+    createSigner,
+    parseCertificates
+};
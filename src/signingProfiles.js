@@ -0,0 +1,275 @@
+const forge = require('node-forge');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { readFileSync, writeFileSync, existsSync } = require('fs');
+const { join, dirname, resolve } = require('path');
+const { getConfigDirectory } = require('./config.js');
+const { resolvePassword } = require('./passwords.js');
+
+// Tizen Studio obfuscates the .pwd files with 3DES using the first 24 bytes of this key.
+const PWD_KEY = 'KYANINYLhijklmnopqrstuvwx'.slice(0, 24);
+
+/**
+ * @typedef {Object} SigningKey
+ * @property {string} key - Path to the .p12
+ * @property {string} password - Password for the .p12
+ * @property {string} [ca] - Path to the CA certificate, kept for Tizen Studio
+ */
+
+/**
+ * @typedef {Object} SigningProfile
+ * @property {string} name
+ * @property {SigningKey} author
+ * @property {SigningKey} [distributor] - The SDK distributor certificate is used if it's not set
+ */
+
+// The password attribute of profiles.xml is either the password itself or the path of a .pwd file.
+function readProfilePassword(value, baseDir) {
+    if (!value.endsWith('.pwd')) return value;
+
+    const path = resolve(baseDir, value);
+    if (!existsSync(path)) throw new Error(`Password file ${path} not found`);
+    return SigningProfiles.decryptPassword(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Named author and distributor certificates, stored in profiles.json in the tizen.js config directory.
+ */
+
+class SigningProfiles {
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.configDir] - Defaults to TIZENJS_CONFIG_DIR or ~/.tizenjs
+     */
+    constructor(options = {}) {
+        this.configDir = options.configDir;
+    }
+
+    /**
+     * Obfuscates a password the way Tizen Studio does in its .pwd files.
+     * @param {string} password
+     * @returns {string}
+     */
+
+    static encryptPassword(password) {
+        const cipher = forge.cipher.createCipher('3DES-ECB', PWD_KEY);
+        cipher.start();
+        cipher.update(forge.util.createBuffer(password, 'utf8'));
+        cipher.finish();
+        return forge.util.encode64(cipher.output.getBytes());
+    }
+
+    /**
+     * Reads the password from the contents of a Tizen Studio .pwd file.
+     * @param {string} data
+     * @returns {string}
+     */
+
+    static decryptPassword(data) {
+        const decipher = forge.cipher.createDecipher('3DES-ECB', PWD_KEY);
+        decipher.start();
+        decipher.update(forge.util.createBuffer(forge.util.decode64(data.trim())));
+        if (!decipher.finish()) throw new Error('Invalid .pwd file');
+        return forge.util.decodeUtf8(decipher.output.getBytes());
+    }
+
+    get path() {
+        return join(getConfigDirectory(this.configDir), 'profiles.json');
+    }
+
+    _read() {
+        if (!existsSync(this.path)) return { active: null, profiles: [] };
+        return JSON.parse(readFileSync(this.path, 'utf-8'));
+    }
+
+    // The file holds the certificate passwords, so only the current user may read it.
+    _write(data) {
+        writeFileSync(this.path, JSON.stringify(data, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * @returns {{ active: string|null, profiles: Array<SigningProfile> }}
+     */
+
+    list() {
+        return this._read();
+    }
+
+    /**
+     * Gets a profile by name, or the active profile.
+     * @param {string} [name]
+     * @returns {SigningProfile}
+     */
+
+    get(name) {
+        const data = this._read();
+        const profileName = name || data.active;
+        if (!profileName) throw new Error('No signing profile is active. Add one with "profile add" or pass --profile');
+
+        const profile = data.profiles.find(profile => profile.name === profileName);
+        if (!profile) throw new Error(`Signing profile ${profileName} not found`);
+        return profile;
+    }
+
+    /**
+     * Adds a profile, replacing any profile with the same name. The first profile becomes active.
+     * @param {SigningProfile} profile
+     * @param {Object} [options]
+     * @param {boolean} [options.active] - Make the profile active
+     */
+
+    add(profile, options = {}) {
+        if (!profile.name) throw new Error('The signing profile needs a name');
+        if (!profile.author || !profile.author.key) throw new Error('The signing profile needs an author certificate');
+
+        const absolute = key => key && { ...key, key: resolve(key.key), ...(key.ca ? { ca: resolve(key.ca) } : {}) };
+
+        const data = this._read();
+        data.profiles = data.profiles.filter(existing => existing.name !== profile.name);
+        data.profiles.push({
+            name: profile.name,
+            author: absolute(profile.author),
+            ...(profile.distributor && profile.distributor.key ? { distributor: absolute(profile.distributor) } : {})
+        });
+        if (options.active || !data.active) data.active = profile.name;
+        this._write(data);
+    }
+
+    /**
+     * @param {string} name
+     */
+
+    remove(name) {
+        const data = this._read();
+        if (!data.profiles.some(profile => profile.name === name)) throw new Error(`Signing profile ${name} not found`);
+
+        data.profiles = data.profiles.filter(profile => profile.name !== name);
+        if (data.active === name) data.active = null;
+        this._write(data);
+    }
+
+    /**
+     * @param {string} name
+     */
+
+    setActive(name) {
+        const data = this._read();
+        if (!data.profiles.some(profile => profile.name === name)) throw new Error(`Signing profile ${name} not found`);
+
+        data.active = name;
+        this._write(data);
+    }
+
+    /**
+     * Imports the profiles of a Tizen Studio profiles.xml, decoding the .pwd files it points to.
+     * @param {string} xmlPath
+     * @param {Object} [options]
+     * @param {boolean} [options.overwrite] - Replace profiles with the same name
+     * @returns {Array<string>} Names of the imported profiles
+     */
+
+    importTizenStudio(xmlPath, options = {}) {
+        const document = new DOMParser().parseFromString(readFileSync(xmlPath, 'utf-8'), 'text/xml');
+        const root = document.documentElement;
+        if (!root || root.localName !== 'profiles') throw new Error(`${xmlPath} is not a Tizen Studio profiles.xml`);
+
+        const baseDir = dirname(resolve(xmlPath));
+        const existing = this._read().profiles.map(profile => profile.name);
+        const profiles = [];
+
+        // Every profile is read and checked first, so a bad one doesn't leave the others half imported.
+        for (const element of Array.from(root.getElementsByTagName('profile'))) {
+            const name = element.getAttribute('name');
+            if (!name) throw new Error(`${xmlPath} has a signing profile without a name`);
+            if (profiles.some(profile => profile.name === name)) throw new Error(`Signing profile ${name} is in ${xmlPath} twice`);
+            if (existing.includes(name) && !options.overwrite) {
+                throw new Error(`Signing profile ${name} already exists`);
+            }
+
+            const profile = { name };
+            for (const item of Array.from(element.getElementsByTagName('profileitem'))) {
+                const key = item.getAttribute('key');
+                if (!key) continue;
+
+                const signingKey = {
+                    key: resolve(baseDir, key),
+                    password: readProfilePassword(item.getAttribute('password'), baseDir),
+                    ...(item.getAttribute('ca') ? { ca: resolve(baseDir, item.getAttribute('ca')) } : {})
+                };
+
+                const role = item.getAttribute('distributor');
+                if (role === '0') profile.author = signingKey;
+                else if (role === '1') profile.distributor = signingKey;
+            }
+
+            if (!profile.author) throw new Error(`Signing profile ${name} has no author certificate`);
+            profiles.push(profile);
+        }
+
+        profiles.forEach(profile => this.add(profile));
+        const imported = profiles.map(profile => profile.name);
+
+        const active = root.getAttribute('active');
+        if (active && imported.includes(active) && !existing.length) this.setActive(active);
+
+        return imported;
+    }
+
+    /**
+     * Writes the profiles as a Tizen Studio profiles.xml. The passwords go to .pwd files next to it.
+     * Tizen Studio can't read `env:`, `file:` or `store:` references, so they're resolved and the passwords themselves are written.
+     * @param {string} xmlPath
+     * @returns {Promise<void>}
+     */
+
+    async exportTizenStudio(xmlPath) {
+        const data = this._read();
+        const passwords = new Map();
+
+        // Resolved before anything is written, a missing variable or a locked store shouldn't leave half an export behind.
+        for (const profile of data.profiles) {
+            for (const [role, signingKey] of [['author', profile.author], ['distributor', profile.distributor]]) {
+                if (!signingKey) continue;
+                passwords.set(signingKey, signingKey.password === undefined ? '' : await resolvePassword(signingKey.password, {
+                    label: `Password for the ${role} certificate of ${profile.name}`,
+                    configDir: this.configDir
+                }));
+            }
+        }
+
+        const baseDir = dirname(resolve(xmlPath));
+        const document = new DOMParser().parseFromString('<?xml version="1.0" encoding="UTF-8" standalone="no"?><profiles/>', 'text/xml');
+        const root = document.documentElement;
+
+        if (data.active) root.setAttribute('active', data.active);
+        root.setAttribute('version', '3.1');
+
+        for (const profile of data.profiles) {
+            const element = document.createElement('profile');
+            element.setAttribute('name', profile.name);
+
+            [profile.author, profile.distributor, null].forEach((signingKey, index) => {
+                const item = document.createElement('profileitem');
+                let password = '';
+
+                if (signingKey) {
+                    password = join(baseDir, `${profile.name}-${index === 0 ? 'author' : 'distributor'}.pwd`);
+                    writeFileSync(password, SigningProfiles.encryptPassword(passwords.get(signingKey)), { mode: 0o600 });
+                }
+
+                item.setAttribute('ca', signingKey && signingKey.ca || '');
+                item.setAttribute('distributor', String(index));
+                item.setAttribute('key', signingKey ? signingKey.key : '');
+                item.setAttribute('password', password);
+                item.setAttribute('rootca', '');
+                element.appendChild(item);
+            });
+
+            root.appendChild(element);
+        }
+
+        writeFileSync(xmlPath, new XMLSerializer().serializeToString(document));
+    }
+}
+
+module.exports = SigningProfiles;
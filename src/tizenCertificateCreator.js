@@ -1,9 +1,31 @@
 const forge = require('node-forge');
 const fetch = require('node-fetch');
-const { join } = require('path');
+const { join, relative } = require('path');
 const JSZip = require('jszip');
-const { readFileSync, mkdirSync, writeFileSync, existsSync } = require('fs');
-const { homedir } = require('os');
+const { readFileSync, mkdirSync, writeFileSync, existsSync, statSync, readdirSync } = require('fs');
+const { getCertificateRoot, listFiles, writeChecksums, verifyChecksums, checkArchiveChecksum } = require('./certificateDirectory.js');
+const { getKeyOptions, createDigest } = require('./keyOptions.js');
+
+const CERTIFICATES_PATH = 'certificate-generator/certificates/';
+const REQUIRED_FILES = [
+    'developer/tizen-developer-ca.cer',
+    'developer/tizen-developer-ca-privatekey.pem',
+    'distributor/sdk-public/tizen-distributor-signer.p12'
+];
+
+// Finds tools/certificate-generator/certificates in a Tizen Studio install, or accepts the directory itself.
+function findCertificatesDirectory(directory, depth = 4) {
+    if (REQUIRED_FILES.every(file => existsSync(join(directory, file)))) return directory;
+    if (depth === 0) return null;
+
+    for (const file of readdirSync(directory)) {
+        const filePath = join(directory, file);
+        if (!statSync(filePath).isDirectory()) continue;
+        const found = findCertificatesDirectory(filePath, depth - 1);
+        if (found) return found;
+    }
+    return null;
+}
 
 /**
  * @typedef {Object} AuthorInfo
@@ -16,13 +38,27 @@ const { homedir } = require('os');
  * @property {string} organization - The organization of the author
  * @property {string} department - The department of the author
  * @property {string} privilegeLevel - The privilege level of the distributor certificate
+ * @property {number} [keySize=2048] - RSA key size in bits, at least 2048
+ * @property {string} [digest="sha512"] - Digest the certificate is signed with: "sha256", "sha384" or "sha512"
+ * @property {number} [validityDays=365] - Days the certificate is valid for
+ * @property {string} [serialNumber] - Hex serial number of the certificate. A random 128-bit serial is used if it's not given
  */
 
 class TizenCertificateCreator {
-    constructor() { }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.certDir] - Directory to cache the certificates in. Defaults to TIZENJS_CERT_DIR or ~/share
+     */
+    constructor(options = {}) {
+        this.certDir = join(getCertificateRoot(options.certDir), '.tizen-cert');
+    }
 
     async _downloadTizenCertificates() {
-        if (existsSync(join(homedir(), 'share/.tizen-cert'))) return;
+        if (existsSync(this.certDir)) {
+            verifyChecksums(this.certDir);
+            return;
+        }
 
         let buffer;
         const response = await fetch('https://download.tizen.org/sdk/tizenstudio/official/binary/certificate-generator_0.1.4_ubuntu-64.zip');
@@ -33,18 +69,66 @@ class TizenCertificateCreator {
         }
 
 
+        await this._extractTizenCertificates(buffer);
+    }
+
+    /**
+     * Extracts the certificates from a certificate-generator zip.
+     * @param {Buffer} buffer
+     */
+
+    async _extractTizenCertificates(buffer) {
         const zip = await JSZip.loadAsync(buffer);
+        const fileNames = Object.keys(zip.files).filter(fileName => fileName.includes(CERTIFICATES_PATH) && !fileName.endsWith('/'));
+        const relativeName = fileName => fileName.slice(fileName.indexOf(CERTIFICATES_PATH) + CERTIFICATES_PATH.length);
 
-        mkdirSync(`${homedir()}/share/.tizen-cert`, { recursive: true });
+        const missing = REQUIRED_FILES.filter(file => !fileNames.some(fileName => relativeName(fileName) === file));
+        if (missing.length) {
+            throw new Error(`Not a certificate-generator archive, missing ${missing.join(', ')}`);
+        }
+
+        mkdirSync(this.certDir, { recursive: true });
 
-        for (const fileName of Object.keys(zip.files)) {
-            if (fileName.includes('data/tools/certificate-generator/certificates') && !fileName.endsWith('/')) {
-                const filePath = join(homedir(), 'share/.tizen-cert', fileName.replace('data/tools/certificate-generator/certificates/', ''));
-                mkdirSync(join(filePath, '..'), { recursive: true });
-                const content = await zip.files[fileName].async('nodebuffer');
-                writeFileSync(filePath, content);
-            }
+        for (const fileName of fileNames) {
+            const filePath = join(this.certDir, relativeName(fileName));
+            mkdirSync(join(filePath, '..'), { recursive: true });
+            const content = await zip.files[fileName].async('nodebuffer');
+            writeFileSync(filePath, content);
         }
+
+        writeChecksums(this.certDir);
+    }
+
+    /**
+     * Imports the certificates without internet access, from an already downloaded
+     * certificate-generator zip or an existing Tizen Studio install.
+     * @param {string} source - Path to the zip or the Tizen Studio directory
+     * @param {Object} [options]
+     * @param {string} [options.sha256] - Expected SHA-256 of the zip, required for zips
+     * @returns {Promise<string>} The directory the certificates were imported into
+     */
+
+    async importCertificates(source, options = {}) {
+        if (!statSync(source).isDirectory()) {
+            const buffer = readFileSync(source);
+            checkArchiveChecksum(buffer, options.sha256);
+            await this._extractTizenCertificates(buffer);
+            return this.certDir;
+        }
+
+        const directory = findCertificatesDirectory(source);
+        if (!directory) {
+            throw new Error(`No Tizen certificates found in ${source}`);
+        }
+
+        for (const file of listFiles(directory)) {
+            const filePath = join(this.certDir, relative(directory, file));
+            mkdirSync(join(filePath, '..'), { recursive: true });
+            writeFileSync(filePath, readFileSync(file));
+        }
+
+        writeChecksums(this.certDir);
+        return this.certDir;
     }
 
     /**
@@ -53,13 +137,14 @@ class TizenCertificateCreator {
      */
 
     _generateAuthorCert(authorInfo) {
-        const key = forge.pki.rsa.generateKeyPair(1024);
+        const keyOptions = getKeyOptions(authorInfo);
+        const key = forge.pki.rsa.generateKeyPair(keyOptions.keySize);
         const cert = forge.pki.createCertificate();
 
         cert.publicKey = key.publicKey;
-        cert.serialNumber = '01';
+        cert.serialNumber = keyOptions.serialNumber;
         cert.validity.notBefore = new Date();
-        cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+        cert.validity.notAfter = new Date(Date.now() + keyOptions.validityDays * 24 * 60 * 60 * 1000);
 
         const subject = [
             {
@@ -132,15 +217,16 @@ class TizenCertificateCreator {
             ]
         );
 
-        const developerPrivateKeyFile = readFileSync(join(homedir(), 'share/.tizen-cert/developer/tizen-developer-ca-privatekey.pem'), 'utf-8');
+        const developerPrivateKeyFile = readFileSync(join(this.certDir, 'developer/tizen-developer-ca-privatekey.pem'), 'utf-8');
         const developerPrivateKey = forge.pki.decryptRsaPrivateKey(developerPrivateKeyFile, 'tizencertificatefordevelopercaroqkfwk');
 
-        cert.sign(developerPrivateKey, forge.md.sha512.create());
+        cert.sign(developerPrivateKey, createDigest(keyOptions.digest));
 
         const certPem = forge.pki.certificateToPem(cert);
-        const developerCa = readFileSync(join(homedir(), 'share/.tizen-cert/developer/tizen-developer-ca.cer'), 'utf-8');
+        const developerCa = readFileSync(join(this.certDir, 'developer/tizen-developer-ca.cer'), 'utf-8');
 
-        const pkcs12 = forge.pkcs12.toPkcs12Asn1(developerPrivateKey, [certPem, developerCa], authorInfo.password, {
+        // The .p12 holds the author's own key, the developer CA key only signs the certificate.
+        const pkcs12 = forge.pkcs12.toPkcs12Asn1(key.privateKey, [certPem, developerCa], authorInfo.password, {
             generateLocalKeyId: true,
             friendlyName: 'UserCertificate'
         });
@@ -160,6 +246,22 @@ class TizenCertificateCreator {
         await this._downloadTizenCertificates();
         return this._generateAuthorCert(authorInfo);
     }
+
+    /**
+     * Loads the distributor certificate that comes with the Tizen SDK.
+     * @param {string} privilege - Can be "public" or "partner"
+     * @returns {Promise<forge.pkcs12.Pkcs12Pfx>}
+     */
+
+    async getSdkDistributor(privilege) {
+        if (privilege !== 'public' && privilege !== 'partner') {
+            throw new Error(`Invalid privilege: ${privilege}. Must be "public" or "partner".`);
+        }
+
+        await this._downloadTizenCertificates();
+        const der = forge.asn1.fromDer(forge.util.createBuffer(readFileSync(join(this.certDir, `distributor/sdk-${privilege}/tizen-distributor-signer.p12`))));
+        return forge.pkcs12.pkcs12FromAsn1(der, false, 'tizenpkcs12passfordsigner');
+    }
 }
 
 module.exports = TizenCertificateCreator;
\ No newline at end of file
@@ -0,0 +1,169 @@
+const { watch: watchDirectory, statSync, lstatSync } = require('fs');
+const { resolve, relative, sep } = require('path');
+const { buildPackage } = require('./packageBuilder.js');
+const DigestCache = require('./digestCache.js');
+const IgnoreRules = require('./ignoreRules.js');
+
+/**
+ * @typedef {Object} BuildSummary
+ * @property {string} output - Path of the package
+ * @property {number} size - Size of the package in bytes
+ * @property {number} hashed - Files whose digests were calculated
+ * @property {number} cached - Unchanged files whose digests were reused
+ * @property {number} duration - Time the build took in milliseconds, without installing
+ * @property {string} [installed] - Output of the installer, if the package was installed on a device
+ */
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {string} output - Path the package is written to
+ * @property {number} [debounce=300] - Milliseconds to wait for more changes before rebuilding
+ * @property {import('./sdbDevice.js')} [device] - Installs the package on this device after every build
+ * @property {function(BuildSummary): void} [onBuild] - Called after every successful build
+ * @property {function(Error): void} [onError] - Called when a build or install fails. The watcher keeps running
+ */
+
+function isDirectory(path) {
+    try {
+        return lstatSync(path).isDirectory();
+    } catch (e) {
+        // Deleted
+        return false;
+    }
+}
+
+/**
+ * Builds a project directory, then rebuilds and re-signs it whenever a file that isn't ignored changes.
+ * Hybrid builds watch the web app directory too. Digests of unchanged files are reused between builds.
+ * @param {import('./packageBuilder.js').BuildOptions & WatchOptions} options
+ * @returns {Promise<{ close: function(): void, rebuild: function(): Promise<BuildSummary|undefined> }>}
+ */
+
+async function watch(options) {
+    if (typeof options.input !== 'string' || !statSync(options.input).isDirectory()) {
+        throw new Error('Only a project directory can be watched');
+    }
+    if (typeof options.output !== 'string') throw new Error('An output path is required to watch a project');
+
+    const isHybrid = options.type === 'hybrid';
+    if (isHybrid && (typeof options.web !== 'string' || !statSync(options.web).isDirectory())) {
+        throw new Error('Only a web app directory can be watched');
+    }
+
+    const directory = resolve(options.input);
+    const webDirectory = isHybrid ? resolve(options.web) : null;
+    const output = resolve(options.output);
+    const ignoreFile = options.ignoreFile && resolve(options.ignoreFile);
+    const debounce = options.debounce === undefined ? 300 : options.debounce;
+    const onBuild = options.onBuild || (() => { });
+    const onError = options.onError || (() => { });
+    const ignoreFunction = typeof options.ignore === 'function' ? options.ignore : () => false;
+    const digestCache = new DigestCache();
+
+    async function build() {
+        // Forgets the digests of files that changed or disappeared since the build before.
+        digestCache.prune();
+        const started = Date.now();
+
+        await buildPackage({ ...options, input: directory, web: webDirectory || undefined, output, digestCache });
+
+        const summary = {
+            output,
+            size: statSync(output).size,
+            hashed: digestCache.misses,
+            cached: digestCache.hits,
+            duration: Date.now() - started
+        };
+
+        if (options.device) {
+            try {
+                summary.installed = await options.device.install(output);
+            } catch (e) {
+                // Reconnects on the next install, in case the device went away.
+                options.device.close();
+                throw e;
+            }
+        }
+
+        onBuild(summary);
+        return summary;
+    }
+
+    let running = null;
+    let pending = false;
+    let timer = null;
+
+    // Builds one at a time. Changes made during a build start another one right after it.
+    function run() {
+        if (running) {
+            pending = true;
+            return running;
+        }
+        running = build().catch(error => onError(error)).finally(() => {
+            running = null;
+            if (pending) {
+                pending = false;
+                run();
+            }
+        });
+        return running;
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(run, debounce);
+    }
+
+    // Every project directory has its own .tizenignore.
+    function watchProject(root) {
+        const loadRules = () => {
+            const rules = IgnoreRules.fromProject(root, { ignoreFile, defaults: options.defaultIgnore });
+            if (Array.isArray(options.ignore)) rules.add(options.ignore);
+            return rules;
+        };
+        let rules = loadRules();
+
+        const isIgnored = (path) => {
+            if (rules.isIgnored(path)) return true;
+            const parts = path.split('/');
+            return parts.some((part, index) => ignoreFunction(
+                parts.slice(0, index + 1).join('/'),
+                index < parts.length - 1 || isDirectory(resolve(root, path))
+            ));
+        };
+
+        return watchDirectory(root, { recursive: true }, (event, filename) => {
+            if (!filename) return schedule();
+
+            const fullPath = resolve(root, filename.toString());
+            if (fullPath === output) return;
+
+            const path = relative(root, fullPath).split(sep).join('/');
+            if (path === '.tizenignore' || fullPath === ignoreFile) {
+                rules = loadRules();
+                return schedule();
+            }
+            if (isIgnored(path)) return;
+
+            schedule();
+        });
+    }
+
+    await run();
+
+    const watchers = [directory, webDirectory].filter(Boolean).map(watchProject);
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+        },
+        async rebuild() {
+            clearTimeout(timer);
+            while (running) await running;
+            return run();
+        }
+    };
+}
+
+module.exports = watch;
@@ -0,0 +1,151 @@
+// Canonical XML 1.1 (https://www.w3.org/TR/xml-c14n11/), the transform of the #prop reference in Tizen signatures.
+
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+// xml:lang and xml:space of the ancestors apply to the canonicalized element. C14N 1.1 stopped inheriting xml:id.
+const INHERITED_XML_ATTRIBUTES = ['lang', 'space'];
+
+const ENCODED_ATTRIBUTE = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '"': '&quot;',
+    '\t': '&#x9;',
+    '\n': '&#xA;',
+    '\r': '&#xD;'
+};
+
+const ENCODED_TEXT = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '\r': '&#xD;'
+};
+
+function encodeAttribute(value) {
+    return value.replace(/[&<"\t\n\r]/g, char => ENCODED_ATTRIBUTE[char]);
+}
+
+function encodeText(value) {
+    return value.replace(/[&<>\r]/g, char => ENCODED_TEXT[char]);
+}
+
+// Canonical XML sorts by code points, not by locale.
+function compare(a, b) {
+    if (a < b) return -1;
+    return a > b ? 1 : 0;
+}
+
+function isNamespaceDeclaration(attribute) {
+    return attribute.namespaceURI === XMLNS_NS || attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:');
+}
+
+function declarationPrefix(attribute) {
+    return attribute.name === 'xmlns' ? '' : attribute.name.slice('xmlns:'.length);
+}
+
+// Namespaces declared on an element and its ancestors, by prefix. "" is the default namespace.
+function inScopeNamespaces(node) {
+    const chain = [];
+    for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+        chain.unshift(current);
+    }
+
+    const namespaces = new Map([['', '']]);
+    for (const element of chain) {
+        for (const attribute of Array.from(element.attributes)) {
+            if (isNamespaceDeclaration(attribute)) namespaces.set(declarationPrefix(attribute), attribute.value);
+        }
+    }
+    return namespaces;
+}
+
+/**
+ * Canonicalizes with Canonical XML 1.1, without comments. The element is processed as a document subset
+ * holding it and everything below it, like the node-set a same-document reference such as "#prop" selects:
+ * namespaces and the inheritable xml: attributes of its ancestors are rendered on it.
+ * xml:base of ancestors isn't joined in, signature files don't use it.
+ */
+
+class Canonicalization11 {
+
+    /**
+     * @param {Element} node
+     * @returns {string}
+     */
+
+    process(node) {
+        const inherited = [];
+        for (const name of INHERITED_XML_ATTRIBUTES) {
+            if (node.getAttributeNodeNS(XML_NS, name)) continue;
+            for (let ancestor = node.parentNode; ancestor && ancestor.nodeType === 1; ancestor = ancestor.parentNode) {
+                const attribute = ancestor.getAttributeNodeNS(XML_NS, name);
+                if (attribute) {
+                    inherited.push(attribute);
+                    break;
+                }
+            }
+        }
+
+        return this._processElement(node, inScopeNamespaces(node.parentNode), new Map([['', '']]), inherited);
+    }
+
+    /**
+     * @param {Element} node
+     * @param {Map<string, string>} parentNamespaces - Namespaces in scope at the parent
+     * @param {Map<string, string>} rendered - Namespaces already in scope in the output
+     * @param {Array<Attr>} extraAttributes - Attributes inherited from ancestors outside of the subset
+     * @returns {string}
+     */
+
+    _processElement(node, parentNamespaces, rendered, extraAttributes = []) {
+        const namespaces = new Map(parentNamespaces);
+        const attributes = [...extraAttributes];
+
+        for (const attribute of Array.from(node.attributes)) {
+            if (isNamespaceDeclaration(attribute)) {
+                namespaces.set(declarationPrefix(attribute), attribute.value);
+            } else {
+                attributes.push(attribute);
+            }
+        }
+
+        // Only namespaces that differ from what the output already has are rendered, the default one first.
+        const declarations = Array.from(namespaces)
+            .filter(([prefix, uri]) => prefix !== 'xml' && (rendered.has(prefix) ? rendered.get(prefix) !== uri : uri !== ''))
+            .sort(([a], [b]) => compare(a, b))
+            .map(([prefix, uri]) => ` ${prefix ? `xmlns:${prefix}` : 'xmlns'}="${encodeAttribute(uri)}"`);
+
+        const renderedAttributes = attributes
+            .sort((a, b) => compare(a.namespaceURI || '', b.namespaceURI || '') || compare(a.localName || a.name, b.localName || b.name))
+            .map(attribute => ` ${attribute.name}="${encodeAttribute(attribute.value)}"`);
+
+        let result = `<${node.tagName}${declarations.join('')}${renderedAttributes.join('')}>`;
+
+        for (const child of Array.from(node.childNodes)) {
+            switch (child.nodeType) {
+                case 1:
+                    result += this._processElement(child, namespaces, namespaces);
+                    break;
+                case 3:
+                case 4:
+                    result += encodeText(child.data);
+                    break;
+                case 7:
+                    result += `<?${child.target}${child.data ? ` ${child.data}` : ''}?>`;
+                    break;
+                default:
+                    // Comments are left out
+                    break;
+            }
+        }
+
+        return `${result}</${node.tagName}>`;
+    }
+
+    getAlgorithmName() {
+        return 'http://www.w3.org/2006/12/xml-c14n11';
+    }
+}
+
+module.exports = Canonicalization11;
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateKeyPairSync } = require('crypto');
+const forge = require('node-forge');
+const { buildPackage } = require('../src/packageBuilder.js');
+const { readPackage, readFileData } = require('../src/packageReader.js');
+
+const SERVICE_MANIFEST = `<?xml version="1.0" encoding="utf-8"?>
+<manifest package="AbCdEfGhIj" version="1.0.0" api-version="5.5" xmlns="http://tizen.org/ns/packages">
+    <service-application appid="AbCdEfGhIj.Service" exec="service.dll" type="dotnet">
+        <label>Service</label>
+    </service-application>
+</manifest>`;
+
+const WEB_CONFIG = `<?xml version="1.0" encoding="UTF-8"?>
+<widget xmlns="http://www.w3.org/ns/widgets" xmlns:tizen="http://tizen.org/ns/widgets" id="http://example.com/app" version="1.0.0">
+    <tizen:application id="AbCdEfGhIj.App" package="AbCdEfGhIj" required_version="6.0"/>
+    <content src="index.html"/>
+    <name>App</name>
+    <tizen:privilege name="http://tizen.org/privilege/internet"/>
+</widget>`;
+
+function file(path, contents) {
+    return { uri: encodeURIComponent(path), data: Buffer.from(contents) };
+}
+
+// A self-signed key is enough to sign, the certificates aren't checked.
+function createKey(commonName) {
+    const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+    cert.serialNumber = '01';
+    cert.validity.notBefore = new Date();
+    cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    cert.setSubject([{ name: 'commonName', value: commonName }]);
+    cert.setIssuer([{ name: 'commonName', value: commonName }]);
+
+    const pem = privateKey.export({ type: 'pkcs1', format: 'pem' });
+    cert.sign(forge.pki.privateKeyFromPem(pem), forge.md.sha256.create());
+    return { privateKey: pem, certificates: [cert] };
+}
+
+const key = createKey('Test');
+
+function hybridOptions(options = {}) {
+    return {
+        type: 'hybrid',
+        input: [file('tizen-manifest.xml', SERVICE_MANIFEST), file('bin/service.dll', 'service')],
+        web: [file('config.xml', WEB_CONFIG), file('index.html', '<html></html>')],
+        author: key,
+        distributor: key,
+        ...options
+    };
+}
+
+test('builds a hybrid package with the web app under res/wgt', async () => {
+    const files = await readPackage(await buildPackage(hybridOptions()));
+    const find = path => files.find(file => decodeURIComponent(file.uri) === path);
+
+    assert.ok(find('bin/service.dll'));
+    assert.ok(find('res/wgt/index.html'));
+    assert.match((await readFileData(find('res/wgt/config.xml'))).toString(), /package="AbCdEfGhIj"/);
+
+    const manifest = (await readFileData(find('tizen-manifest.xml'))).toString();
+    assert.match(manifest, /package="AbCdEfGhIj"/);
+    assert.match(manifest, /api-version="6.0"/);
+    assert.match(manifest, /<privilege>http:\/\/tizen.org\/privilege\/internet<\/privilege>/);
+});
+
+test('refuses manifest changes for a hybrid package', async () => {
+    for (const manifest of [{ packageId: 'org.other.pkg' }, { appId: 'AbCdEfGhIj.Other' }, { version: '2.0.0' }, { name: 'Other' }]) {
+        await assert.rejects(buildPackage(hybridOptions({ manifest })), /The manifest can't be changed while building a hybrid package/);
+    }
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mkdtempSync, rmSync, readFileSync, existsSync, statSync, writeFileSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const JSZip = require('jszip');
+const unpackPackage = require('../src/packageUnpacker.js');
+
+const CONFIG = `<?xml version="1.0" encoding="UTF-8"?>
+<widget xmlns="http://www.w3.org/ns/widgets" xmlns:tizen="http://tizen.org/ns/widgets" id="http://example.com/app" version="1.2.3">
+    <tizen:application id="AbCdE12345.App" package="AbCdE12345" required_version="6.0"/>
+    <name>App</name>
+</widget>`;
+
+// Folders aren't added for the files, so the zip has exactly the entries given.
+async function createZip(entries) {
+    const zip = new JSZip();
+    for (const [name, contents, unixPermissions] of entries) {
+        zip.file(name, contents, { createFolders: false, unixPermissions });
+    }
+    return zip.generateAsync({ type: 'nodebuffer', platform: 'UNIX', compression: 'DEFLATE' });
+}
+
+function withDirectory(run) {
+    return async () => {
+        const directory = mkdtempSync(join(tmpdir(), 'tizen-unpack-'));
+        try {
+            await run(directory);
+        } finally {
+            rmSync(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+test('extracts the files of a package from its path', withDirectory(async directory => {
+    const packagePath = join(directory, 'app.wgt');
+    writeFileSync(packagePath, await createZip([
+        ['signature10.xml', 'not a signature'],
+        ['config.xml', CONFIG],
+        ['signature2.xml', 'not a signature'],
+        ['author-signature.xml', 'not a signature'],
+        ['js/main.js', 'console.log("main");'],
+        ['bin/run', '#!/bin/sh', 0o755]
+    ]));
+    const output = join(directory, 'app');
+
+    const metadata = await unpackPackage({ input: packagePath, output, stripSignatures: true });
+
+    assert.strictEqual(readFileSync(join(output, 'js/main.js'), 'utf-8'), 'console.log("main");');
+    assert.strictEqual(readFileSync(join(output, 'config.xml'), 'utf-8'), CONFIG);
+    assert.ok(statSync(join(output, 'bin/run')).mode & 0o100);
+    assert.ok(!existsSync(join(output, 'author-signature.xml')));
+
+    assert.strictEqual(metadata.source, packagePath);
+    assert.deepStrictEqual([metadata.manifest.packageId, metadata.manifest.version], ['AbCdE12345', '1.2.3']);
+    assert.deepStrictEqual(metadata.signatures.map(signature => signature.file), ['author-signature.xml', 'signature2.xml', 'signature10.xml']);
+    assert.ok(metadata.signatures.every(signature => signature.error));
+    assert.deepStrictEqual(JSON.parse(readFileSync(`${output}.json`, 'utf-8')), metadata);
+}));
+
+test('refuses an entry outside of the output directory by its real name', withDirectory(async directory => {
+    const output = join(directory, 'app');
+    const input = await createZip([['config.xml', CONFIG], ['../evil.txt', 'evil']]);
+
+    await assert.rejects(unpackPackage({ input, output }), /Refusing to unpack "\.\.\/evil\.txt"/);
+    assert.ok(!existsSync(output));
+    assert.ok(!existsSync(join(directory, 'evil.txt')));
+}));
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SamsungAccount = require('../src/samsungAccount.js');
+
+// Starts a sign in and resolves with the redirect URI and state it sends to the sign in page, standing in for the browser.
+function startLogin(options = {}) {
+    const account = new SamsungAccount({ port: 0, timeout: options.timeout || 10000 });
+    let started;
+    const redirect = new Promise(resolve => { started = resolve; });
+
+    const login = account.login({
+        onUrl: url => {
+            const params = new URL(url).searchParams;
+            started({ redirectUri: params.get('redirect_uri'), state: params.get('state') });
+        }
+    });
+    return { login, redirect };
+}
+
+function post(url, body, type = 'application/x-www-form-urlencoded') {
+    return fetch(url, { method: 'POST', headers: { 'Content-Type': type }, body });
+}
+
+test('keeps listening after a callback with the wrong state', async () => {
+    const { login, redirect } = startLogin();
+    const { redirectUri, state } = await redirect;
+
+    const wrong = await post(redirectUri, new URLSearchParams({ access_token: 'stolen', userId: 'attacker', state: 'other' }).toString());
+    assert.strictEqual(wrong.status, 400);
+    assert.match(await wrong.text(), /state doesn't match/);
+
+    const missing = await post(redirectUri, new URLSearchParams({ access_token: 'stolen', userId: 'attacker' }).toString());
+    assert.strictEqual(missing.status, 400);
+
+    const valid = await post(redirectUri, new URLSearchParams({ access_token: 'token', userId: 'user', state }).toString());
+    assert.strictEqual(valid.status, 200);
+    assert.deepStrictEqual(await login, { accessToken: 'token', userId: 'user' });
+});
+
+test('rejects a malformed callback and keeps listening', async () => {
+    const { login, redirect } = startLogin();
+    const { redirectUri, state } = await redirect;
+
+    const malformed = await post(redirectUri, '{"access_token": ', 'application/json');
+    assert.strictEqual(malformed.status, 400);
+    assert.match(await malformed.text(), /malformed callback/);
+
+    const valid = await post(redirectUri, JSON.stringify({ access_token: 'token', userId: 'user', state }), 'application/json');
+    assert.strictEqual(valid.status, 200);
+    assert.deepStrictEqual(await login, { accessToken: 'token', userId: 'user' });
+});
+
+test('resolves with the token of a valid callback', async () => {
+    const { login, redirect } = startLogin();
+    const { redirectUri, state } = await redirect;
+
+    const response = await post(redirectUri, new URLSearchParams({ access_token: 'token', userId: 'user', access_token_expires_in: '3600', state }).toString());
+    assert.strictEqual(response.status, 200);
+
+    const accessInfo = await login;
+    assert.strictEqual(accessInfo.accessToken, 'token');
+    assert.strictEqual(accessInfo.userId, 'user');
+    assert.ok(Math.abs(accessInfo.expiresAt - (Date.now() + 3600 * 1000)) < 60 * 1000);
+});
+
+test('rejects when nobody signs in in time', async () => {
+    const { login, redirect } = startLogin({ timeout: 50 });
+    const { redirectUri } = await redirect;
+
+    await assert.rejects(login, /Timed out waiting for the sign in/);
+    // The listener is closed with it.
+    await assert.rejects(fetch(redirectUri));
+});
@@ -0,0 +1,274 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const Device = require('../src/sdbDevice.js');
+
+const A_CNXN = 0x4e584e43;
+const A_OPEN = 0x4e45504f;
+const A_OKAY = 0x59414b4f;
+const A_CLSE = 0x45534c43;
+const A_WRTE = 0x45545257;
+const HEADER_SIZE = 24;
+
+function createPacket(command, arg0, arg1, data = Buffer.alloc(0)) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32LE(command, 0);
+    header.writeUInt32LE(arg0, 4);
+    header.writeUInt32LE(arg1, 8);
+    header.writeUInt32LE(data.length, 12);
+    header.writeUInt32LE(data.reduce((sum, byte) => (sum + byte) >>> 0, 0), 16);
+    header.writeUInt32LE((command ^ 0xffffffff) >>> 0, 20);
+    return Buffer.concat([header, data]);
+}
+
+function syncResponse(id, data = Buffer.alloc(0)) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data]);
+}
+
+// A fake sdbd that answers the handshake, runs shell commands from a table and takes files over the sync service.
+// Every packet it gets is recorded, and `handle` can take over a packet by returning true.
+async function startFakeDevice(options = {}) {
+    const device = { packets: [], files: {}, syncMessages: [], sockets: [] };
+    const maxPayload = options.maxPayload || 4096;
+
+    const server = net.createServer(socket => {
+        device.sockets.push(socket);
+        let buffer = Buffer.alloc(0);
+        let nextId = 100;
+        const syncStreams = new Map();
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= HEADER_SIZE) {
+                const length = buffer.readUInt32LE(12);
+                if (buffer.length < HEADER_SIZE + length) return;
+
+                const packet = {
+                    command: buffer.readUInt32LE(0),
+                    arg0: buffer.readUInt32LE(4),
+                    arg1: buffer.readUInt32LE(8),
+                    data: buffer.subarray(HEADER_SIZE, HEADER_SIZE + length)
+                };
+                buffer = buffer.subarray(HEADER_SIZE + length);
+                device.packets.push(packet);
+                if (!(options.handle && options.handle(packet, socket))) handle(packet);
+            }
+        });
+        socket.on('error', () => { });
+
+        function handle(packet) {
+            if (packet.command === A_CNXN) {
+                socket.write(createPacket(A_CNXN, 0x02000000, maxPayload, Buffer.from('device::ro.product.name=fake;\0')));
+            } else if (packet.command === A_OPEN) {
+                const service = packet.data.toString().replace(/\0$/, '');
+                const id = nextId++;
+
+                if (service.startsWith('shell:')) {
+                    const output = (options.shell || {})[service.slice('shell:'.length)];
+                    if (output === undefined) {
+                        socket.write(createPacket(A_CLSE, 0, packet.arg0));
+                        return;
+                    }
+                    socket.write(createPacket(A_OKAY, id, packet.arg0));
+                    socket.write(createPacket(A_WRTE, id, packet.arg0, Buffer.from(output)));
+                    socket.write(createPacket(A_CLSE, id, packet.arg0));
+                } else if (service === 'sync:') {
+                    syncStreams.set(id, { remoteId: packet.arg0, buffer: Buffer.alloc(0), path: null, chunks: [] });
+                    socket.write(createPacket(A_OKAY, id, packet.arg0));
+                } else {
+                    socket.write(createPacket(A_CLSE, 0, packet.arg0));
+                }
+            } else if (packet.command === A_WRTE) {
+                socket.write(createPacket(A_OKAY, packet.arg1, packet.arg0));
+                const stream = syncStreams.get(packet.arg1);
+                if (stream) handleSync(packet.arg1, stream, packet.data);
+            } else if (packet.command === A_CLSE) {
+                syncStreams.delete(packet.arg1);
+            }
+        }
+
+        function handleSync(id, stream, data) {
+            stream.buffer = Buffer.concat([stream.buffer, data]);
+            while (stream.buffer.length >= 8) {
+                const message = stream.buffer.toString('ascii', 0, 4);
+                const length = stream.buffer.readUInt32LE(4);
+
+                if (message === 'SEND' || message === 'DATA') {
+                    if (stream.buffer.length < 8 + length) return;
+                    const body = stream.buffer.subarray(8, 8 + length);
+                    stream.buffer = stream.buffer.subarray(8 + length);
+                    device.syncMessages.push({ message, length });
+                    if (message === 'SEND') stream.path = body.toString();
+                    else stream.chunks.push(body);
+                    continue;
+                }
+
+                stream.buffer = stream.buffer.subarray(8);
+                device.syncMessages.push({ message, length });
+                if (message === 'DONE') {
+                    const [path, mode] = stream.path.split(',');
+                    if (options.refusePush) {
+                        const reason = Buffer.from('Permission denied');
+                        socket.write(createPacket(A_WRTE, id, stream.remoteId, syncResponse('FAIL', reason)));
+                    } else {
+                        device.files[path] = { mode: Number(mode), data: Buffer.concat(stream.chunks), mtime: length };
+                        socket.write(createPacket(A_WRTE, id, stream.remoteId, syncResponse('OKAY')));
+                    }
+                }
+            }
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    device.port = server.address().port;
+    device.stop = () => {
+        device.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => server.close(resolve));
+    };
+    return device;
+}
+
+// The device doesn't wait for its acknowledgements, so the fake may get them after the call returned.
+async function waitForPacket(fake, command) {
+    for (let tries = 0; !fake.packets.some(packet => packet.command === command); tries++) {
+        if (tries === 100) throw new Error('The fake device never got the packet');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+function commandsOf(packets) {
+    const names = { [A_CNXN]: 'CNXN', [A_OPEN]: 'OPEN', [A_OKAY]: 'OKAY', [A_CLSE]: 'CLSE', [A_WRTE]: 'WRTE' };
+    return packets.map(packet => names[packet.command]);
+}
+
+test('connects and runs a shell command', async () => {
+    const fake = await startFakeDevice({ shell: { '0 getduid': 'FAKEDUID123\n' } });
+    const device = new Device('127.0.0.1', { port: fake.port });
+
+    try {
+        assert.strictEqual(await device.connect(), 'device::ro.product.name=fake;');
+        assert.strictEqual(device.maxPayload, 4096);
+        assert.strictEqual(await device.getDuid(), 'FAKEDUID123');
+        await waitForPacket(fake, A_OKAY);
+
+        const [connect, open, okay] = fake.packets;
+        assert.deepStrictEqual(commandsOf(fake.packets), ['CNXN', 'OPEN', 'OKAY']);
+        assert.strictEqual(connect.data.toString(), 'host::\0');
+        assert.strictEqual(open.data.toString(), 'shell:0 getduid\0');
+        // The output is acknowledged from the local stream to the service on the device.
+        assert.deepStrictEqual([okay.arg0, okay.arg1], [open.arg0, 100]);
+    } finally {
+        device.close();
+        await fake.stop();
+    }
+});
+
+test('rejects a service the device refuses to open', async () => {
+    const fake = await startFakeDevice();
+    const device = new Device('127.0.0.1', { port: fake.port });
+
+    try {
+        await assert.rejects(device.shell('unknown'), /refused to open the service/);
+    } finally {
+        device.close();
+        await fake.stop();
+    }
+});
+
+test('pushes a file with SEND, DATA and DONE', async () => {
+    const fake = await startFakeDevice();
+    const device = new Device('127.0.0.1', { port: fake.port });
+    const contents = Buffer.alloc(150 * 1024, 'tizen');
+
+    try {
+        await device.push(contents, '/tmp/app.wgt', 0o600);
+
+        assert.deepStrictEqual(fake.syncMessages.map(({ message }) => message), ['SEND', 'DATA', 'DATA', 'DATA', 'DONE', 'QUIT']);
+        assert.deepStrictEqual(fake.syncMessages.filter(({ message }) => message === 'DATA').map(({ length }) => length), [65536, 65536, 22528]);
+
+        const file = fake.files['/tmp/app.wgt'];
+        assert.strictEqual(file.mode, 0o100600);
+        assert.ok(file.data.equals(contents));
+        assert.ok(Math.abs(file.mtime - Date.now() / 1000) < 60);
+
+        // Writes are split to the payload size the device announced, and the stream is closed afterwards.
+        const writes = fake.packets.filter(packet => packet.command === A_WRTE);
+        assert.ok(writes.every(packet => packet.data.length <= 4096));
+        await waitForPacket(fake, A_CLSE);
+    } finally {
+        device.close();
+        await fake.stop();
+    }
+});
+
+test('reports a push the device refuses', async () => {
+    const fake = await startFakeDevice({ refusePush: true });
+    const device = new Device('127.0.0.1', { port: fake.port });
+
+    try {
+        await assert.rejects(device.push(Buffer.from('<profile/>'), '/root/profile.xml'), /Failed to push \/root\/profile\.xml: Permission denied/);
+    } finally {
+        device.close();
+        await fake.stop();
+    }
+});
+
+test('rejects sending without a connection', async () => {
+    const device = new Device('127.0.0.1', { port: 1 });
+    await assert.rejects(device._send(A_OPEN, 1, 0), /Not connected to 127\.0\.0\.1:1/);
+});
+
+test('rejects when the connection fails', async () => {
+    const fake = await startFakeDevice();
+    await fake.stop();
+
+    const device = new Device('127.0.0.1', { port: fake.port });
+    await assert.rejects(device.connect(), { code: 'ECONNREFUSED' });
+});
+
+test('rejects a pending handshake when the device closes the connection', async () => {
+    const fake = await startFakeDevice({ handle: (packet, socket) => socket.destroy() });
+    const device = new Device('127.0.0.1', { port: fake.port });
+
+    try {
+        await assert.rejects(device.connect(), /Connection closed by the device/);
+    } finally {
+        await fake.stop();
+    }
+});
+
+test('rejects pending operations when the connection is lost', async () => {
+    // The shell service is opened, but the connection drops before it has any output.
+    const fake = await startFakeDevice({
+        handle: (packet, socket) => {
+            if (packet.command !== A_OPEN) return false;
+            socket.write(createPacket(A_OKAY, 100, packet.arg0), () => setTimeout(() => socket.destroy(), 20));
+            return true;
+        }
+    });
+    const device = new Device('127.0.0.1', { port: fake.port });
+
+    try {
+        await assert.rejects(device.shell('sleep 10'), /Connection closed by the device/);
+        await assert.rejects(device._send(A_OPEN, 1, 0), /Not connected/);
+    } finally {
+        await fake.stop();
+    }
+});
+
+test('rejects a pending handshake when the device is closed', async () => {
+    const fake = await startFakeDevice({ handle: () => true });
+    const device = new Device('127.0.0.1', { port: fake.port });
+
+    try {
+        const connecting = device.connect();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        device.close();
+        await assert.rejects(connecting, /Connection to 127\.0\.0\.1:\d+ closed/);
+    } finally {
+        await fake.stop();
+    }
+});